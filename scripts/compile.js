@@ -1,18 +1,66 @@
 ﻿'use strict';
 
 const fs = require('fs/promises');
+const fsSync = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-
-const ROOT = path.resolve(__dirname, '..');
-const COMPILED_DIR = path.join(ROOT, 'compiled');
+const {
+  AUDIENCES,
+  COLLECTIONS,
+  collectionOutputFiles,
+  partitionScheduled
+} = require('./lib/collections');
+const { createBuildCache, hashContent, hashDirectory, hashFiles } = require('./lib/buildCache');
+const { applySelection } = require('./lib/eventSelection');
+const { EVENT_TIME_ZONE, parseEventStart, zonedDate, zonedTimeToDate } = require('./lib/eventTime');
+const { feedEntry, feedFiles } = require('./lib/feeds');
+const { buildGraph, filterGraph, nodeKey, relatedFor } = require('./lib/graph');
+const { resolvePlan } = require('./lib/plans');
+const { expandRecurringEvent } = require('./lib/recurrence');
+const { createRoster, redactLeaderboard } = require('./lib/redaction');
+const { renderCalendar } = require('./lib/icalendar');
+const { createSchemaValidator } = require('./lib/schemaValidation');
+const { buildSearchIndex, searchDocument } = require('./lib/searchIndex');
+const { PLAN_TIERS, resolveSeasonPlan } = require('./lib/trainingPlan');
+const {
+  META_FILE,
+  buildManifest,
+  createOutputSet,
+  describeContent,
+  diffCompiledFiles,
+  listFiles,
+  mergeOutputSets,
+  publishCompiledDir
+} = require('./lib/compiledOutput');
+
+const DEFAULT_ROOT = path.resolve(__dirname, '..');
+const DIAGNOSTICS_FILE = '_diagnostics.json';
+const WATCH_DEBOUNCE_MS = 200;
 const SHOW_ALL_POIS = process.env.SHOW_ALL_POIS === 'true';
+// Absolute links in feeds point here; compiled/ is expected to be served at the site root.
+const SITE_URL = (process.env.SUC_SITE_URL || 'https://suc-broadcast.onrender.com').replace(
+  /\/+$/,
+  ''
+);
+// Recurring events are expanded from this many days before the build's as-of day through
+// this many days past it (both as civil days in America/Los_Angeles).
+const RECURRENCE_LOOKBACK_DAYS = 90;
+const RECURRENCE_HORIZON_DAYS = 56;
 let loggedShowAllPois = false;
 
 const log = (message) => {
   console.log(`[SUC-SHARED-DATA] ${message}`);
 };
 
+// Problems found while compiling are logged as they happen and collected per build target;
+// they end up in compiled/_diagnostics.json and in the build result.
+function report(build, { code, severity = 'warning', entityId = null, file = null, message }) {
+  build.diagnostics.push({ severity, code, target: build.target, entityId, file, message });
+  const write =
+    severity === 'error' ? console.error : severity === 'warning' ? console.warn : console.log;
+  write(`[SUC-SHARED-DATA] ${severity}: ${message}`);
+}
+
 function logShowAllPoisOnce() {
   if (!SHOW_ALL_POIS || loggedShowAllPois) return;
   console.log('[DEBUG] SHOW_ALL_POIS enabled — bypassing POI filters');
@@ -34,26 +82,97 @@ async function readJsonIfExists(filePath, fallback) {
   }
 }
 
-async function loadEventsMaster() {
-  const filePath = path.join(ROOT, 'events', 'events.master.json');
+async function loadEventsMaster(build) {
+  const filePath = path.join(build.root, 'events', 'events.master.json');
   const parsed = await readJson(filePath);
   if (!parsed || !Array.isArray(parsed.events)) {
     throw new Error(`Invalid events.master.json: ${filePath}`);
   }
+  build.validator.validate(parsed, {
+    file: 'events/events.master.json',
+    schema: 'schemas/event.schema.json',
+    pointer: '/events'
+  });
   return parsed.events;
 }
 
-async function loadEventsSelection() {
-  const filePath = path.join(ROOT, 'events', 'events.selection.json');
+// The ISO date `days` after (negative: before) an ISO date.
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// The canonical events with every recurring series expanded into its occurrences within the
+// build's lookback and horizon, in master order. Shared by all event consumers so a series is
+// expanded (and its problems reported) once per build.
+async function loadEvents(build) {
+  if (!build.events) {
+    build.events = (async () => {
+      const today = zonedDate(build.asOf, EVENT_TIME_ZONE);
+      const from = shiftDate(today, -build.lookbackDays);
+      const through = shiftDate(today, build.horizonDays);
+      const events = [];
+      for (const raw of await loadEventsMaster(build)) {
+        if (raw.recurring == null) {
+          events.push(raw);
+          continue;
+        }
+        const id = getEventId(raw);
+        let expanded;
+        try {
+          expanded = expandRecurringEvent(raw, { from, through });
+        } catch (error) {
+          report(build, {
+            code: 'recurrence-invalid',
+            severity: 'error',
+            entityId: id,
+            file: 'events/events.master.json',
+            message: `Recurring event ${id} not expanded: ${error.message}`
+          });
+          continue;
+        }
+        for (const date of expanded.unmatched) {
+          report(build, {
+            code: 'recurrence-date-unmatched',
+            entityId: id,
+            file: 'events/events.master.json',
+            message: `Recurring event ${id} has an exception or override for ${date}, which is not one of its dates`
+          });
+        }
+        events.push(...expanded.occurrences);
+      }
+      return events;
+    })();
+  }
+  return build.events;
+}
+
+async function loadEventsSelection(build) {
+  const filePath = path.join(build.root, 'events', 'events.selection.json');
   const parsed = await readJson(filePath);
-  if (!parsed || !Array.isArray(parsed.selectedEventIds)) {
+  if (!parsed || typeof parsed !== 'object') {
     throw new Error(`Invalid events.selection.json: ${filePath}`);
   }
-  return parsed.selectedEventIds;
+  return build.validator.validate(parsed, {
+    file: 'events/events.selection.json',
+    schema: 'schemas/event-selection.schema.json'
+  });
 }
 
-async function loadWorkoutsMaster() {
-  const filePath = path.join(ROOT, 'workouts', 'workouts.master.json');
+// Like workouts.master.json, seasons.master.json is an aggregate of the per-entity files that
+// validate-canonical checks, so it has no schema of its own.
+async function loadSeasonsMaster(root) {
+  const filePath = path.join(root, 'seasons', 'seasons.master.json');
+  const parsed = await readJsonIfExists(filePath, { seasons: [] });
+  if (!parsed || !Array.isArray(parsed.seasons)) {
+    throw new Error(`Invalid seasons.master.json: ${filePath}`);
+  }
+  return parsed.seasons;
+}
+
+async function loadWorkoutsMaster(root) {
+  const filePath = path.join(root, 'workouts', 'workouts.master.json');
   const parsed = await readJson(filePath);
   if (!parsed || !Array.isArray(parsed.workouts)) {
     throw new Error(`Invalid workouts.master.json: ${filePath}`);
@@ -61,69 +180,100 @@ async function loadWorkoutsMaster() {
   return parsed.workouts;
 }
 
-async function loadTrainingContentMaster() {
-  const filePath = path.join(ROOT, 'training-content', 'training-content.master.json');
+async function loadCollectionItems(build, collection) {
+  const filePath = path.join(build.root, collection.source);
   const parsed = await readJsonIfExists(filePath, { items: [] });
   if (!parsed || !Array.isArray(parsed.items)) {
-    throw new Error(`Invalid training-content.master.json: ${filePath}`);
+    throw new Error(`Invalid ${path.basename(filePath)}: ${filePath}`);
   }
+  build.validator.validate(parsed, {
+    file: collection.source,
+    schema: collection.schema,
+    pointer: '/items'
+  });
   return parsed.items;
 }
 
-async function loadGearReviewsMaster() {
-  const filePath = path.join(ROOT, 'gear-reviews', 'gear-reviews.master.json');
-  const parsed = await readJsonIfExists(filePath, { items: [] });
-  if (!parsed || !Array.isArray(parsed.items)) {
-    throw new Error(`Invalid gear-reviews.master.json: ${filePath}`);
+async function loadLeaderboardsCurrent(build) {
+  const filePath = path.join(build.root, 'leaderboards', 'leaderboards.current.json');
+  const parsed = await readJsonIfExists(filePath, null);
+  if (parsed === null) return { entries: [], updatedAt: null };
+  if (!Array.isArray(parsed.entries)) {
+    throw new Error(`Invalid leaderboards.current.json: ${filePath}`);
   }
-  return parsed.items;
+  build.validator.validate(parsed, {
+    file: 'leaderboards/leaderboards.current.json',
+    schema: 'schemas/leaderboards.schema.json'
+  });
+  return parsed;
 }
 
-async function loadCrewStoriesMaster() {
-  const filePath = path.join(ROOT, 'crew-stories', 'crew-stories.master.json');
-  const parsed = await readJsonIfExists(filePath, { items: [] });
-  if (!parsed || !Array.isArray(parsed.items)) {
-    throw new Error(`Invalid crew-stories.master.json: ${filePath}`);
+// Canonical v2 training entities: the files of `dir` with a string id, validated against
+// `schema`. Other JSON files there are legacy or aggregates and are skipped, as in
+// validate-canonical.
+async function loadCanonicalEntities(build, dir, schema) {
+  const dirPath = path.join(build.root, dir);
+  let names;
+  try {
+    names = (await fs.readdir(dirPath)).filter((name) => name.endsWith('.json')).sort();
+  } catch (error) {
+    const code = error && typeof error === 'object' ? error.code : null;
+    if (code === 'ENOENT') return [];
+    throw error;
   }
-  return parsed.items;
+  const entities = [];
+  for (const name of names) {
+    // eslint-disable-next-line no-await-in-loop
+    const entity = await readJson(path.join(dirPath, name));
+    if (!entity || typeof entity.id !== 'string') continue;
+    build.validator.validate(entity, { file: `${dir}/${name}`, schema });
+    entities.push({ ...entity, file: `${dir}/${name}` });
+  }
+  return entities;
 }
 
-async function loadLeaderboardsCurrent() {
-  const filePath = path.join(ROOT, 'leaderboards', 'leaderboards.current.json');
-  const parsed = await readJsonIfExists(filePath, { entries: [], updatedAt: null });
-  if (!parsed || !Array.isArray(parsed.entries)) {
-    throw new Error(`Invalid leaderboards.current.json: ${filePath}`);
+// Canonical week files; drafts are left out.
+async function loadWeeks(build) {
+  const weeks = await loadCanonicalEntities(build, 'weeks', 'schemas/week.schema.json');
+  return weeks.filter((week) => week.status !== 'draft');
+}
+
+// Loaded once per build. Only the { members } shape is covered by roster.schema.json; the
+// older bare array is accepted as is.
+async function loadRoster(build) {
+  if (!build.roster) {
+    build.roster = (async () => {
+      const filePath = path.join(build.root, 'roster', 'roster.json');
+      const parsed = await readJsonIfExists(filePath, []);
+      if (!Array.isArray(parsed)) {
+        if (!parsed || !Array.isArray(parsed.members)) {
+          throw new Error(`Invalid roster.json: ${filePath}`);
+        }
+        build.validator.validate(parsed, {
+          file: 'roster/roster.json',
+          schema: 'schemas/roster.schema.json'
+        });
+      }
+      return createRoster(parsed);
+    })();
   }
-  return parsed;
+  return build.roster;
 }
 
-async function loadRecapsMaster() {
-  const filePath = path.join(ROOT, 'recaps', 'recaps.master.json');
+async function loadRecapsMaster(build) {
+  const filePath = path.join(build.root, 'recaps', 'recaps.master.json');
   const parsed = await readJsonIfExists(filePath, { weeks: [] });
   if (!parsed || !Array.isArray(parsed.weeks)) {
     throw new Error(`Invalid recaps.master.json: ${filePath}`);
   }
+  build.validator.validate(parsed, {
+    file: 'recaps/recaps.master.json',
+    schema: 'schemas/recap.schema.json',
+    pointer: '/weeks'
+  });
   return parsed.weeks;
 }
 
-async function loadFootwearReviewsMaster() {
-  const filePath = path.join(ROOT, 'footwear-reviews', 'footwear-reviews.master.json');
-  const parsed = await readJsonIfExists(filePath, { version: 1, items: [] });
-  return parsed.items || [];
-}
-
-async function loadRaceRecapsMaster() {
-  const filePath = path.join(ROOT, 'race-recaps', 'race-recaps.master.json');
-  const parsed = await readJsonIfExists(filePath, { version: 1, items: [] });
-  return parsed.items || [];
-}
-
-async function loadCrewRunRecapsMaster() {
-  const filePath = path.join(ROOT, 'crew-run-recaps', 'crew-run-recaps.master.json');
-  const parsed = await readJsonIfExists(filePath, { version: 1, items: [] });
-  return parsed.items || [];
-}
-
 function getEventId(raw) {
   if (!raw || typeof raw !== 'object') return null;
   return raw.event_id || raw.eventId || raw.id || null;
@@ -157,7 +307,7 @@ function normalizeEventForBroadcast(raw) {
       raw.start_lng ??
       (raw.startLocationCoordinates ? raw.startLocationCoordinates.lng : undefined),
     publish: raw.publish,
-    recurring: raw.recurring
+    series_id: raw.series_id ?? raw.seriesId
   };
 }
 
@@ -179,18 +329,52 @@ function eventsJsonExport(events, routes) {
       eventDescription: event.event_description,
       eventDate: event.event_date,
       eventTime: event.event_time,
+      startDate: event.start_date ?? null,
+      startTime: event.start_time ?? null,
+      startsAt: event.starts_at ?? null,
       startLocationName: event.start_location_name,
       startLocationUrl: event.start_location_url,
       startLocationCoordinates: {
         lat: event.start_lat,
         lng: event.start_lng
       },
+      ...(event.series_id ? { seriesId: event.series_id } : {}),
       routes: eventRoutes,
-      ...(poiHighlights.length ? { poiHighlights } : {})
+      ...(poiHighlights.length ? { poiHighlights } : {}),
+      related: Array.isArray(event.related) ? event.related : []
     };
   });
 
-  return JSON.stringify(output, null, 2);
+  return output;
+}
+
+// compiled/events/<eventId>.json: one events.json entry with the full stats of its route
+// variants, so an event page needs a single request.
+function eventBundle(entry, routes, compiledRoutes) {
+  const { startLocationName, startLocationUrl, startLocationCoordinates, ...event } = entry;
+  delete event.routes;
+  delete event.poiHighlights;
+  delete event.related;
+  return {
+    eventId: entry.eventId,
+    event,
+    startLocation: {
+      name: startLocationName ?? null,
+      url: startLocationUrl ?? null,
+      coordinates: startLocationCoordinates
+    },
+    routes: routes
+      .filter((route) => route.event_id === entry.eventId)
+      .map((route) => ({
+        routeId: route.route_id,
+        label: route.label,
+        statsUrl: route.gpx_url,
+        geojsonUrl: route.geojson_url,
+        stats: compiledRoutes.routes[route.route_id].stats
+      })),
+    poiHighlights: entry.poiHighlights || [],
+    related: entry.related
+  };
 }
 
 const ROUTE_COLOR_BY_LABEL = {
@@ -210,21 +394,9 @@ function normalizeVariantKey(label) {
   return String(label).toUpperCase();
 }
 
-function slugify(value) {
-  return String(value || '')
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-}
-
-function normalizeStringArray(value) {
-  if (Array.isArray(value)) {
-    return value.map((entry) => String(entry || '').trim()).filter(Boolean);
-  }
-  if (value == null) return [];
-  const str = String(value).trim();
-  return str ? [str] : [];
+// Manifest entries reference canonical files relative to the repository root.
+function toSourcePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
 }
 
 function haversineMeters(a, b) {
@@ -335,8 +507,8 @@ function computeStats(points) {
   };
 }
 
-async function readRouteMeta(routeGroupId) {
-  const metaPath = path.join(ROOT, 'routes', routeGroupId, 'route.meta.json');
+async function readRouteMeta(build, routeGroupId) {
+  const metaPath = path.join(build.root, 'routes', routeGroupId, 'route.meta.json');
   const meta = await readJson(metaPath);
   if (!meta || !Array.isArray(meta.variants)) {
     throw new Error(`Invalid route.meta.json: ${metaPath}`);
@@ -344,32 +516,41 @@ async function readRouteMeta(routeGroupId) {
   return meta;
 }
 
-async function readRoutePois(routeGroupId) {
-  const poisPath = path.join(ROOT, 'routes', routeGroupId, 'route.pois.json');
+async function readRoutePois(build, routeGroupId) {
+  const poisPath = path.join(build.root, 'routes', routeGroupId, 'route.pois.json');
+  let pois;
   try {
-    const pois = await readJson(poisPath);
-    if (!pois || !Array.isArray(pois.pois)) return null;
-    return pois;
+    pois = await readJson(poisPath);
   } catch (error) {
     const code = error && typeof error === 'object' ? error.code : null;
     if (code === 'ENOENT') return null;
-    console.warn(`[SUC-SHARED-DATA] Failed to read route.pois.json for ${routeGroupId}`, error);
+    report(build, {
+      code: 'route-pois-unreadable',
+      entityId: routeGroupId,
+      file: `routes/${routeGroupId}/route.pois.json`,
+      message: `Failed to read route.pois.json for ${routeGroupId}: ${error.message}`
+    });
     return null;
   }
+  build.validator.validate(pois, {
+    file: `routes/${routeGroupId}/route.pois.json`,
+    schema: 'schemas/route.pois.schema.json'
+  });
+  return pois;
 }
 
-async function readGpx(routeGroupId, routeId, label) {
-  const baseDir = path.join(ROOT, 'routes', routeGroupId);
+async function readGpx(build, routeGroupId, routeId, label) {
+  const baseDir = path.join(build.root, 'routes', routeGroupId);
   const candidates = [`${label}.gpx`, `${routeId}.gpx`];
   for (const name of candidates) {
     const filePath = path.join(baseDir, name);
     try {
-      return await fs.readFile(filePath, 'utf8');
+      return { raw: await fs.readFile(filePath, 'utf8'), filePath };
     } catch (error) {
       continue;
     }
   }
-  throw new Error(`Missing GPX for ${routeId} in ${baseDir}`);
+  throw new Error(`Missing GPX for ${routeId} in routes/${routeGroupId}/`);
 }
 
 function buildRouteStats(routeGroupId, routeId, label, stats, pois) {
@@ -518,7 +699,7 @@ function selectPoiDistance(poi, variantLabels) {
   return Math.min(...distances);
 }
 
-async function compileEventPoiHighlights(event, routeGroupCache, config) {
+async function compileEventPoiHighlights(build, event, routeGroupCache, config) {
   const eventId = getEventId(event);
   const routeGroupIds = getRouteGroupIds(event);
   if (!eventId || !routeGroupIds.length) return [];
@@ -531,8 +712,8 @@ async function compileEventPoiHighlights(event, routeGroupCache, config) {
       let cached = routeGroupCache.get(routeGroupId);
       if (!cached) {
         cached = {
-          meta: readRouteMeta(routeGroupId),
-          pois: readRoutePois(routeGroupId)
+          meta: readRouteMeta(build, routeGroupId),
+          pois: readRoutePois(build, routeGroupId)
         };
         routeGroupCache.set(routeGroupId, cached);
       }
@@ -574,8 +755,8 @@ async function compileEventPoiHighlights(event, routeGroupCache, config) {
     let cached = routeGroupCache.get(routeGroupId);
     if (!cached) {
       cached = {
-        meta: readRouteMeta(routeGroupId),
-        pois: readRoutePois(routeGroupId)
+        meta: readRouteMeta(build, routeGroupId),
+        pois: readRoutePois(build, routeGroupId)
       };
       routeGroupCache.set(routeGroupId, cached);
     }
@@ -634,12 +815,70 @@ function buildPoiFeatures(pois) {
   }));
 }
 
-async function compileRoutesForEvents(selectedEvents) {
+// GPX parsing dominates build time, so compiled variants are cached per route group
+// and keyed by the hash of every file in routes/<routeGroupId>/.
+async function compileRouteGroup(build, routeGroupId, meta, poisDoc) {
+  const groupDir = path.join(build.root, 'routes', routeGroupId);
+  const sources = [path.join(groupDir, 'route.meta.json')];
+  if (poisDoc) sources.push(path.join(groupDir, 'route.pois.json'));
+  const variants = [];
+  for (const rawLabel of meta.variants || []) {
+    const label = String(rawLabel).toUpperCase();
+    const routeId = `${routeGroupId}-${label}`;
+    // eslint-disable-next-line no-await-in-loop
+    const gpx = await readGpx(build, routeGroupId, routeId, label);
+    sources.push(gpx.filePath);
+    const points = parseGpxPoints(gpx.raw);
+    const stats = computeStats(points);
+    const variantPois = compilePoisForVariant(poisDoc, label);
+    const poiFeatures = buildPoiFeatures(variantPois);
+    const geojson = buildGeoJson(points, poiFeatures);
+    const compiledStats = buildRouteStats(routeGroupId, routeId, label, stats, variantPois);
+    // Round-trip through JSON so fresh and cached results serialize identically.
+    variants.push(JSON.parse(JSON.stringify({ routeId, label, stats: compiledStats, geojson })));
+  }
+  return { variants, sources: sources.map((source) => toSourcePath(build.root, source)) };
+}
+
+// Route groups are loaded and compiled once per build. A group that fails (missing GPX,
+// unreadable route.meta.json, invalid route.pois.json) is reported and left out, so the
+// other groups and events still compile.
+async function loadRouteGroup(build, routeGroupId, routeGroupCache) {
+  if (routeGroupCache.has(routeGroupId)) return routeGroupCache.get(routeGroupId);
+
+  const group = { meta: null, pois: null, compiled: null };
+  try {
+    const [meta, pois] = await Promise.all([
+      readRouteMeta(build, routeGroupId),
+      readRoutePois(build, routeGroupId)
+    ]);
+    const groupKey = await hashDirectory(path.join(build.root, 'routes', routeGroupId));
+    let compiled = build.cache.get('routeGroups', routeGroupId, groupKey);
+    if (!compiled) {
+      compiled = await compileRouteGroup(build, routeGroupId, meta, pois);
+      build.cache.set('routeGroups', routeGroupId, groupKey, compiled);
+    }
+    Object.assign(group, { meta, pois, compiled });
+  } catch (error) {
+    report(build, {
+      code: 'route-group-failed',
+      severity: 'error',
+      entityId: routeGroupId,
+      file: `routes/${routeGroupId}/`,
+      message: `Skipped route group ${routeGroupId}: ${error instanceof Error ? error.message : error}`
+    });
+  }
+  routeGroupCache.set(routeGroupId, group);
+  return group;
+}
+
+async function compileRoutesForEvents(build, selectedEvents) {
   if (!selectedEvents || selectedEvents.length === 0) {
-    return { routes: [], compiledRoutes: { routes: {} }, poiHighlightsByEvent: {} };
+    return { routes: [], compiledRoutes: { routes: {} }, poiHighlightsByEvent: {}, sources: [] };
   }
 
   const routes = [];
+  const sources = new Set();
   const compiledRoutes = { routes: {} };
   const routeGroupCache = new Map();
   const poiHighlightsByEvent = {};
@@ -650,35 +889,27 @@ async function compileRoutesForEvents(selectedEvents) {
 
     const routeGroupIds = getRouteGroupIds(event);
     if (!routeGroupIds.length) {
-      console.warn(`[SUC-SHARED-DATA] No route groups defined for ${eventId}`);
+      report(build, {
+        code: 'event-without-route-groups',
+        entityId: eventId,
+        file: 'events/events.master.json',
+        message: `No route groups defined for ${eventId}`
+      });
       continue;
     }
 
     for (const routeGroupId of routeGroupIds) {
-      if (!routeGroupCache.has(routeGroupId)) {
-        routeGroupCache.set(routeGroupId, {
-          meta: readRouteMeta(routeGroupId),
-          pois: readRoutePois(routeGroupId)
-        });
-      }
-
-      const cached = routeGroupCache.get(routeGroupId);
       // eslint-disable-next-line no-await-in-loop
-      const meta = await cached.meta;
-      // eslint-disable-next-line no-await-in-loop
-      const poisDoc = await cached.pois;
-      const variants = meta.variants || [];
-
-      for (const rawLabel of variants) {
-        const label = String(rawLabel).toUpperCase();
-        const routeId = `${routeGroupId}-${label}`;
-        const gpxRaw = await readGpx(routeGroupId, routeId, label);
-        const points = parseGpxPoints(gpxRaw);
-        const stats = computeStats(points);
-        const variantPois = compilePoisForVariant(poisDoc, label);
-        const poiFeatures = buildPoiFeatures(variantPois);
-        const geojson = buildGeoJson(points, poiFeatures);
-        const compiledStats = buildRouteStats(routeGroupId, routeId, label, stats, variantPois);
+      const { compiled: compiledGroup } = await loadRouteGroup(
+        build,
+        routeGroupId,
+        routeGroupCache
+      );
+      if (!compiledGroup) continue;
+      for (const source of compiledGroup.sources) sources.add(source);
+
+      for (const variant of compiledGroup.variants) {
+        const { routeId, label, stats: compiledStats, geojson } = variant;
 
         compiledRoutes.routes[routeId] = {
           stats: compiledStats,
@@ -700,6 +931,7 @@ async function compileRoutesForEvents(selectedEvents) {
     if (DEFAULT_EVENT_POI_CONFIG.showPOIs) {
       // eslint-disable-next-line no-await-in-loop
       const highlights = await compileEventPoiHighlights(
+        build,
         event,
         routeGroupCache,
         DEFAULT_EVENT_POI_CONFIG
@@ -710,425 +942,1135 @@ async function compileRoutesForEvents(selectedEvents) {
     }
   }
 
-  return { routes, compiledRoutes, poiHighlightsByEvent };
+  return { routes, compiledRoutes, poiHighlightsByEvent, sources: Array.from(sources) };
 }
 
-function normalizeTrainingItem(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  const topics = normalizeStringArray(raw.topics);
-  return {
-    ...raw,
-    id,
-    type: raw.type || 'training',
-    series: raw.series || null,
-    part: Number.isFinite(raw.part) ? raw.part : raw.part ? Number(raw.part) : undefined,
-    topics,
-    tier: raw.tier || 'team',
-    title: raw.title || '',
-    summary: raw.summary || '',
-    body: raw.body || ''
-  };
+function getGitSha(root) {
+  try {
+    return execSync('git rev-parse --short HEAD', {
+      cwd: root,
+      stdio: ['ignore', 'pipe', 'ignore']
+    })
+      .toString()
+      .trim();
+  } catch (error) {
+    return 'unknown';
+  }
 }
 
-function compileTrainingContent(items) {
-  const normalized = items.map(normalizeTrainingItem).filter(Boolean);
-  // Only include published items (filter out drafts)
-  const published = normalized.filter((item) => item.status !== 'draft');
-  const byTopic = new Map();
-  const bySeries = new Map();
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
 
-  for (const item of published) {
-    const seriesKey = slugify(item.series);
-    if (seriesKey) {
-      if (!bySeries.has(seriesKey)) bySeries.set(seriesKey, []);
-      bySeries.get(seriesKey).push(item);
-    }
+// Cached outputs were validated against the schemas, so schema edits invalidate them too.
+async function computeCompilerFingerprint(root) {
+  const libDir = path.join(__dirname, 'lib');
+  const libFiles = (await fs.readdir(libDir))
+    .filter((name) => name.endsWith('.js'))
+    .sort()
+    .map((name) => path.join(libDir, name));
+  const sourcesHash = await hashFiles([__filename, ...libFiles], __dirname);
+  const schemasHash = await hashDirectory(path.join(root, 'schemas'));
+  return hashContent(sourcesHash, schemasHash, `SHOW_ALL_POIS=${SHOW_ALL_POIS}`);
+}
 
-    for (const topic of item.topics || []) {
-      const topicKey = slugify(topic);
-      if (!topicKey) continue;
-      if (!byTopic.has(topicKey)) byTopic.set(topicKey, []);
-      byTopic.get(topicKey).push(item);
-    }
-  }
+// Reuses the previously compiled files of a collection while its published items (and, for
+// collections with consent rules, the roster) are unchanged, so a scheduled item going live
+// or a consent change invalidates the entry like an edit does.
+async function compileCollectionFiles(build, collection, publishedItems, roster) {
+  const key = hashContent(publishedItems, collection.consent ? roster.members : null);
+  const cached = build.cache.get('collections', collection.name, key);
+  if (cached) return { ...cached, cached: true };
+  const compiled = collectionOutputFiles(collection, publishedItems, roster);
+  build.cache.set('collections', collection.name, key, compiled);
+  return { ...compiled, cached: false };
+}
 
-  for (const [, entries] of bySeries) {
-    entries.sort((a, b) => (a.part || 0) - (b.part || 0));
+function reportRedactions(build, redactions, file) {
+  for (const redaction of redactions) {
+    const unresolved = redaction.reason === 'unresolved';
+    const subject = redaction.entityId
+      ? `${redaction.field} of ${redaction.entityId}`
+      : redaction.field;
+    report(build, {
+      code: 'redacted',
+      severity: unresolved ? 'warning' : 'info',
+      entityId: redaction.entityId,
+      file,
+      message: `Redacted ${subject} in ${redaction.audience} output (${redaction.action}: ${
+        unresolved ? 'athlete not on the roster' : `no ${redaction.reason} consent`
+      })`
+    });
   }
-
-  return { index: published, byTopic, bySeries };
 }
 
-function normalizeGearReview(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  return {
-    ...raw,
-    id,
-    type: raw.type || 'gear-review',
-    category: raw.category || '',
-    tags: normalizeStringArray(raw.tags),
-    tier: raw.tier || 'public',
-    summary: raw.summary || '',
-    pros: Array.isArray(raw.pros) ? raw.pros : [],
-    cons: Array.isArray(raw.cons) ? raw.cons : [],
-    body: raw.body || ''
-  };
+async function selectEvents(build) {
+  if (!build.selection) {
+    build.selection = (async () => {
+      const events = await loadEvents(build);
+      const schedule = await loadEventSchedule(build);
+      const {
+        selected: selectedEvents,
+        include,
+        unpublished
+      } = applySelection(events, await loadEventsSelection(build), {
+        today: zonedDate(build.asOf, EVENT_TIME_ZONE),
+        startDateOf: (event) => (schedule.get(getEventId(event)) || {}).date || null
+      });
+
+      for (const event of unpublished) {
+        report(build, {
+          code: 'selected-event-unpublished',
+          entityId: getEventId(event),
+          file: 'events/events.selection.json',
+          message: `Selected event ${getEventId(event)} has publish: false and is not broadcast`
+        });
+      }
+
+      const eventsMaster = await loadEventsMaster(build);
+      const missingIds = include.filter(
+        (id) =>
+          !eventsMaster.some((event) => getEventId(event) === id) &&
+          !events.some((event) => getEventId(event) === id)
+      );
+      for (const id of missingIds) {
+        report(build, {
+          code: 'selected-event-missing',
+          entityId: id,
+          file: 'events/events.selection.json',
+          message: `Selected event ${id} is not in events.master.json`
+        });
+      }
+      return selectedEvents;
+    })();
+  }
+  return build.selection;
 }
 
-function compileGearReviews(items) {
-  const normalized = items.map(normalizeGearReview).filter(Boolean);
-  const byCategory = new Map();
-  for (const item of normalized) {
-    const categoryKey = slugify(item.category);
-    if (!categoryKey) continue;
-    if (!byCategory.has(categoryKey)) byCategory.set(categoryKey, []);
-    byCategory.get(categoryKey).push(item);
+// routes.json and events.json share one pass over the selected events' route groups.
+async function compileSelectedRoutes(build) {
+  if (!build.routeCompilation) {
+    build.routeCompilation = (async () => {
+      const selectedEvents = await selectEvents(build);
+      log('Compiling POIs...');
+      const compiled = await compileRoutesForEvents(build, selectedEvents);
+      const sources = [
+        'events/events.master.json',
+        'events/events.selection.json',
+        ...compiled.sources
+      ];
+      return { ...compiled, selectedEvents, sources };
+    })();
   }
-  return { index: normalized, byCategory };
+  return build.routeCompilation;
 }
 
-function normalizeCrewStory(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  return {
-    ...raw,
-    id,
-    type: raw.type || 'crew-story',
-    person: raw.person || '',
-    tags: normalizeStringArray(raw.tags),
-    tier: raw.tier || 'public',
-    summary: raw.summary || '',
-    body: raw.body || ''
-  };
+const GRAPH_SOURCE_FILES = {
+  event: 'events/events.master.json',
+  'crew-run-recap': 'crew-run-recaps/crew-run-recaps.master.json',
+  'race-recap': 'race-recaps/race-recaps.master.json'
+};
+// events.json and the event bundles are public: their `related` blocks only link public nodes.
+const PUBLIC_TIERS = AUDIENCES.find((audience) => audience.name === 'public').tiers;
+
+async function loadGraphItems(build, kind) {
+  const collection = COLLECTIONS.find((entry) => entry.graphNode === kind);
+  const { published } = partitionScheduled(
+    await loadCollectionItems(build, collection),
+    build.asOf
+  );
+  return published.filter(
+    (item) => item && item.id && !(collection.excludeDrafts && item.status === 'draft')
+  );
 }
 
-function compileCrewStories(items) {
-  const normalized = items.map(normalizeCrewStory).filter(Boolean);
-  const byTag = new Map();
-  for (const item of normalized) {
-    for (const tag of item.tags || []) {
-      const tagKey = slugify(tag);
-      if (!tagKey) continue;
-      if (!byTag.has(tagKey)) byTag.set(tagKey, []);
-      byTag.get(tagKey).push(item);
+async function loadRouteGroupsForGraph(build) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(build.root, 'routes'), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  const groups = [];
+  for (const entry of entries.filter((candidate) => candidate.isDirectory())) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const meta = await readRouteMeta(build, entry.name);
+      groups.push({ id: entry.name, name: meta.name, variants: meta.variants });
+    } catch (error) {
+      // Groups without a readable route.meta.json are not graph nodes.
     }
   }
-  return { index: normalized, byTag };
+  return groups.sort((a, b) => a.id.localeCompare(b.id));
 }
 
-// Footwear reviews compilation
-function normalizeFootwearReview(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  return {
-    ...raw,
-    id,
-    brand: raw.brand || '',
-    model: raw.model || '',
-    topics: normalizeStringArray(raw.topics),
-    tier: raw.tier || 'team',
-    status: raw.status || 'published'
-  };
+// The relationship graph is shared by the events, graph and graph-linked collection targets
+// and built once per build; unresolved references are reported by the first of them.
+async function loadGraph(build) {
+  if (!build.graph) {
+    build.graph = (async () => {
+      const weeks = await loadWeeks(build);
+      const routeGroups = await loadRouteGroupsForGraph(build);
+      const graph = buildGraph({
+        events: (await loadEvents(build)).map((event) => ({
+          id: getEventId(event),
+          name: event.event_name ?? event.eventName ?? event.name,
+          date: event.event_date ?? event.eventDate,
+          publish: event.publish,
+          routeGroupIds: getRouteGroupIds(event)
+        })),
+        routeGroups,
+        crewRunRecaps: await loadGraphItems(build, 'crew-run-recap'),
+        raceRecaps: await loadGraphItems(build, 'race-recap'),
+        weeks
+      });
+
+      const weekFiles = new Map(weeks.map((week) => [nodeKey('week', week.id), week.file]));
+      for (const { from, via, value, severity } of graph.unresolved) {
+        const [kind, ...idParts] = from.split(':');
+        report(build, {
+          code: 'unresolved-reference',
+          severity,
+          entityId: idParts.join(':'),
+          file: GRAPH_SOURCE_FILES[kind] || weekFiles.get(from) || null,
+          message: `${from} ${via} "${value}" does not resolve to a known entity`
+        });
+      }
+      graph.sources = [
+        ...Object.values(GRAPH_SOURCE_FILES),
+        ...routeGroups.map((group) => `routes/${group.id}/route.meta.json`),
+        ...weeks.map((week) => week.file)
+      ];
+      return graph;
+    })();
+  }
+  return build.graph;
 }
 
-function compileFootwearReviews(items) {
-  const normalized = items.map(normalizeFootwearReview).filter(Boolean);
-  const published = normalized.filter((item) => item.status !== 'draft');
-  const byTopic = new Map();
+async function compileRoutesTarget(build, output) {
+  log('Compiling routes...');
+  const { compiledRoutes, sources } = await compileSelectedRoutes(build);
+  output.emit('routes.json', toJson(compiledRoutes), sources);
+  return { routes: Object.keys(compiledRoutes.routes || {}).length };
+}
 
-  for (const item of published) {
-    for (const topic of item.topics || []) {
-      const topicKey = slugify(topic);
-      if (!topicKey) continue;
-      if (!byTopic.has(topicKey)) byTopic.set(topicKey, []);
-      byTopic.get(topicKey).push(item);
-    }
+// Parsed starts of the canonical events ({ date, time, startsAt }) by event id, shared by the
+// events and calendar targets; an event whose date or time does not parse is reported once and
+// has no entry.
+async function loadEventSchedule(build) {
+  if (!build.eventSchedule) {
+    build.eventSchedule = (async () => {
+      const schedule = new Map();
+      for (const raw of await loadEvents(build)) {
+        const event = normalizeEventForBroadcast(raw);
+        const id = getEventId(raw);
+        const start = parseEventStart(event.event_date, event.event_time, EVENT_TIME_ZONE);
+        if (start.error) {
+          report(build, {
+            code: /^event_time/.test(start.error) ? 'event-time-invalid' : 'event-date-invalid',
+            severity: 'error',
+            entityId: id,
+            file: 'events/events.master.json',
+            message: `Event ${id || '(no id)'} has no valid start: ${start.error}`
+          });
+          continue;
+        }
+        schedule.set(id, start);
+      }
+      return schedule;
+    })();
   }
+  return build.eventSchedule;
+}
 
-  return { index: published, byTopic };
+const EVENT_DURATION = 'PT2H';
+const EVENT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+// A timed event is upcoming until two hours after it starts, a date-only event until the end
+// of its day.
+function eventEndsAt(start) {
+  if (start.time) {
+    return zonedTimeToDate(start.date, start.time, EVENT_TIME_ZONE).getTime() + EVENT_DURATION_MS;
+  }
+  const nextDay = new Date(Date.parse(`${start.date}T00:00:00Z`) + 24 * 60 * 60 * 1000);
+  return zonedTimeToDate(nextDay.toISOString().slice(0, 10), '00:00', EVENT_TIME_ZONE).getTime();
 }
 
-// Race recaps compilation
-function normalizeRaceRecap(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  return {
-    ...raw,
-    id,
-    raceName: raw.raceName || '',
-    distance: raw.distance || '',
-    topics: normalizeStringArray(raw.topics),
-    tier: raw.tier || 'team',
-    status: raw.status || 'published'
-  };
+// Chronological, date-only events before timed ones on the same day, then by id; events
+// without a valid start go last.
+function compareEventStarts(a, b) {
+  const keyA = [a.startDate ? 0 : 1, a.startDate || '', a.startTime || '', String(a.eventId)];
+  const keyB = [b.startDate ? 0 : 1, b.startDate || '', b.startTime || '', String(b.eventId)];
+  const index = keyA.findIndex((value, position) => value !== keyB[position]);
+  if (index === -1) return 0;
+  return keyA[index] < keyB[index] ? -1 : 1;
 }
 
-function compileRaceRecaps(items) {
-  const normalized = items.map(normalizeRaceRecap).filter(Boolean);
-  const published = normalized.filter((item) => item.status !== 'draft');
-  const byTopic = new Map();
+async function compileEventsTarget(build, output) {
+  const { routes, compiledRoutes, poiHighlightsByEvent, selectedEvents, sources } =
+    await compileSelectedRoutes(build);
 
-  for (const item of published) {
-    for (const topic of item.topics || []) {
-      const topicKey = slugify(topic);
-      if (!topicKey) continue;
-      if (!byTopic.has(topicKey)) byTopic.set(topicKey, []);
-      byTopic.get(topicKey).push(item);
-    }
+  const graph = await loadGraph(build);
+  const schedule = await loadEventSchedule(build);
+
+  log('Compiling events...');
+  const normalizedEvents = selectedEvents.map(normalizeEventForBroadcast);
+  const events = eventsJsonExport(
+    normalizedEvents.map((event) => {
+      const start = schedule.get(event.event_id);
+      return {
+        ...event,
+        start_date: start ? start.date : null,
+        start_time: start ? start.time : null,
+        starts_at: start ? start.startsAt : null,
+        poi_highlights: poiHighlightsByEvent[event.event_id] ?? [],
+        related: relatedFor(graph, nodeKey('event', event.event_id), PUBLIC_TIERS)
+      };
+    }),
+    routes
+  ).sort(compareEventStarts);
+
+  const eventSources = [...sources, ...graph.sources];
+  const now = build.asOf.getTime();
+  const dated = events.filter((event) => schedule.has(event.eventId));
+  const upcoming = dated.filter((event) => eventEndsAt(schedule.get(event.eventId)) > now);
+  const past = dated.filter((event) => eventEndsAt(schedule.get(event.eventId)) <= now).reverse();
+  output.emit('events.json', JSON.stringify(events, null, 2), eventSources);
+  output.emit('events.upcoming.json', JSON.stringify(upcoming, null, 2), eventSources);
+  output.emit('events.past.json', JSON.stringify(past, null, 2), eventSources);
+
+  const bundles = events.map((event) => {
+    const bundlePath = `events/${event.eventId}.json`;
+    const content = toJson(eventBundle(event, routes, compiledRoutes));
+    output.emit(bundlePath, content, eventSources);
+    return {
+      eventId: event.eventId,
+      eventName: event.eventName,
+      startsAt: event.startsAt,
+      path: bundlePath,
+      sha256: describeContent(content).sha256
+    };
+  });
+  output.emit('events/index.json', toJson(bundles), eventSources);
+  return { events: normalizedEvents.length };
+}
+
+// Loads, schedules, links and compiles a collection once per build; shared by the collection's
+// own target and the search target.
+async function loadCollectionOutput(build, collection) {
+  if (!build.collections) build.collections = new Map();
+  if (!build.collections.has(collection.name)) {
+    build.collections.set(
+      collection.name,
+      (async () => {
+        const items = await loadCollectionItems(build, collection);
+        const { published, scheduled } = partitionScheduled(items, build.asOf);
+        const roster = await loadRoster(build);
+        const graph = collection.graphNode ? await loadGraph(build) : null;
+        const linked = graph
+          ? published.map((item) =>
+              item && item.id
+                ? { ...item, related: relatedFor(graph, nodeKey(collection.graphNode, item.id)) }
+                : item
+            )
+          : published;
+        const compiled = await compileCollectionFiles(build, collection, linked, roster);
+        const sources = [
+          collection.source,
+          ...(collection.consent ? ['roster/roster.json'] : []),
+          ...(graph ? graph.sources : [])
+        ];
+        return { ...compiled, scheduled, sources };
+      })()
+    );
   }
+  return build.collections.get(collection.name);
+}
 
-  return { index: published, byTopic };
+async function compileCollectionTarget(build, output, collection) {
+  log(`Compiling ${collection.label}...`);
+  const { files, redactions, cached, scheduled, sources } = await loadCollectionOutput(
+    build,
+    collection
+  );
+  for (const item of scheduled) {
+    report(build, {
+      code: 'scheduled',
+      severity: 'info',
+      entityId: item.id || null,
+      file: collection.source,
+      message: `Held back ${collection.label} item ${item.id} until ${item.publishedAt}`
+    });
+  }
+  reportRedactions(build, redactions, collection.source);
+  for (const [relPath, content] of Object.entries(files)) {
+    output.emit(relPath, content, sources);
+  }
+  if (cached) log(`Reused cached compiled/*/${collection.outDir}/*`);
+  return {};
 }
 
-// Crew run recaps compilation
-function normalizeCrewRunRecap(raw) {
-  if (!raw || typeof raw !== 'object') return null;
-  const id = String(raw.id || '').trim();
-  if (!id) return null;
-  return {
-    ...raw,
-    id,
-    eventName: raw.eventName || '',
-    eventDate: raw.eventDate || '',
-    topics: normalizeStringArray(raw.topics),
-    tier: raw.tier || 'team',
-    status: raw.status || 'published'
-  };
+async function compileGraphTarget(build, output) {
+  log('Compiling relationship graph...');
+  const graph = await loadGraph(build);
+  const full = { nodes: graph.nodes, edges: graph.edges };
+  output.emit('graph.json', toJson(full), graph.sources);
+  for (const audience of AUDIENCES) {
+    output.emit(
+      `${audience.name}/graph.json`,
+      toJson(filterGraph(full, audience.tiers)),
+      graph.sources
+    );
+  }
+  return {};
 }
 
-function compileCrewRunRecaps(items) {
-  const normalized = items.map(normalizeCrewRunRecap).filter(Boolean);
-  const published = normalized.filter((item) => item.status !== 'draft');
-  const byTopic = new Map();
+// One index per audience over exactly the items of its compiled/<audience>/<collection>/
+// trees, so public search results are already tier-filtered and redacted.
+async function compileSearchTarget(build, output) {
+  log('Compiling search indexes...');
+  const outputs = [];
+  for (const collection of COLLECTIONS) {
+    outputs.push({ collection, ...(await loadCollectionOutput(build, collection)) });
+  }
+  for (const audience of AUDIENCES) {
+    const documents = outputs.flatMap(({ collection, files }) =>
+      JSON.parse(files[`${audience.name}/${collection.outDir}/index.json`])
+        .filter((item) => item && item.id)
+        .map((item) => searchDocument(collection, item))
+    );
+    const index = buildSearchIndex(documents, audience.name);
+    output.emit(
+      `search/${audience.name}.json`,
+      JSON.stringify(index),
+      Array.from(new Set(outputs.flatMap(({ sources }) => sources)))
+    );
+  }
+  return {};
+}
 
-  for (const item of published) {
-    for (const topic of item.topics || []) {
-      const topicKey = slugify(topic);
-      if (!topicKey) continue;
-      if (!byTopic.has(topicKey)) byTopic.set(topicKey, []);
-      byTopic.get(topicKey).push(item);
+// Feeds mirror the compiled/public/<collection>/ slices (index.json and every grouped file),
+// plus one combined feed over every collection's public index.
+async function compileFeedsTarget(build, output) {
+  log('Compiling feeds...');
+  const combined = [];
+  const sources = new Set();
+  for (const collection of COLLECTIONS) {
+    const { files, sources: collectionSources } = await loadCollectionOutput(build, collection);
+    collectionSources.forEach((source) => sources.add(source));
+    const prefix = `public/${collection.outDir}/`;
+    for (const [relPath, content] of Object.entries(files)) {
+      if (!relPath.startsWith(prefix)) continue;
+      const slice = relPath.slice(prefix.length).replace(/\.json$/, '');
+      const entries = JSON.parse(content).map((item) => feedEntry(collection, item, SITE_URL));
+      if (slice === 'index') combined.push(...entries);
+      const feed = feedFiles({
+        path: `feeds/${collection.outDir}/${slice}`,
+        title:
+          slice === 'index'
+            ? `SUC ${collection.label}`
+            : `SUC ${collection.label}: ${path.basename(slice)}`,
+        description: `Published ${collection.label} from SUC`,
+        homePath: `/${collection.outDir}`,
+        entries,
+        siteUrl: SITE_URL
+      });
+      for (const [feedPath, feedContent] of Object.entries(feed)) {
+        output.emit(feedPath, feedContent, collectionSources);
+      }
     }
   }
+  const feed = feedFiles({
+    path: 'feeds/index',
+    title: 'SUC',
+    description: 'Everything published by SUC',
+    entries: combined,
+    siteUrl: SITE_URL
+  });
+  for (const [feedPath, feedContent] of Object.entries(feed)) {
+    output.emit(feedPath, feedContent, Array.from(sources));
+  }
+  return {};
+}
 
-  return { index: published, byTopic };
+// An event's calendar SEQUENCE: its `revision`, else `updated_at` in seconds, so that clients
+// replace the copy they imported when the event changes.
+function eventSequence(raw) {
+  if (Number.isInteger(raw.revision) && raw.revision >= 0) return raw.revision;
+  const updatedAt = Date.parse(raw.updated_at);
+  return Number.isFinite(updatedAt) ? Math.floor(updatedAt / 1000) : 0;
 }
 
-function getGitSha() {
-  try {
-    return execSync('git rev-parse --short HEAD', { cwd: ROOT }).toString().trim();
-  } catch (error) {
-    return 'unknown';
-  }
+function eventCalendarEntry(raw, start) {
+  const event = normalizeEventForBroadcast(raw);
+  const id = getEventId(raw);
+  const { date, time } = start;
+  const lat = Number(event.start_lat);
+  const lng = Number(event.start_lng);
+  const hasGeo = Number.isFinite(lat) && Number.isFinite(lng) && (lat !== 0 || lng !== 0);
+  return {
+    uid: `event-${id}@suc`,
+    stamp: zonedTimeToDate(date, time || '00:00', EVENT_TIME_ZONE),
+    sequence: eventSequence(raw),
+    start: time ? { date, time, timeZone: EVENT_TIME_ZONE } : { date },
+    duration: EVENT_DURATION,
+    summary: event.event_name || id,
+    description: [
+      String(event.event_description || '').trim(),
+      event.start_location_url ? `Start: ${event.start_location_url}` : '',
+      ...getRouteGroupIds(raw).map((groupId) => `Route: ${SITE_URL}/routes/${groupId}`)
+    ]
+      .filter(Boolean)
+      .join('\n\n'),
+    location: event.start_location_name || null,
+    geo: hasGeo ? { lat, lng } : null,
+    url: `${SITE_URL}/events/${id}`,
+    categories: raw.type ? [raw.type] : []
+  };
 }
 
-async function main() {
-  logShowAllPoisOnce();
-  log('Compiling routes...');
-  const eventsMaster = await loadEventsMaster();
-  const selectedIds = await loadEventsSelection();
-  const workoutsMaster = await loadWorkoutsMaster();
+function planCalendarEntry(season, day, tier) {
+  const variant = day.tiers[tier];
+  return {
+    uid: `plan-${season.seasonId}-${day.date}-${day.slot + 1}-${tier.toLowerCase()}@suc`,
+    stamp: new Date(`${day.date}T00:00:00Z`),
+    start: { date: day.date },
+    summary: day.workout.name || day.workout.workoutId,
+    description: [
+      day.workout.description,
+      variant && variant.name !== day.workout.name && !/^Untitled/.test(variant.name || '')
+        ? `${tier}: ${variant.name}`
+        : '',
+      `${day.block.name}, week ${day.weekNumber}`,
+      day.workout.coachNotes
+    ]
+      .filter(Boolean)
+      .join('\n\n'),
+    categories: [day.block.name]
+  };
+}
 
-  const selectedEvents = eventsMaster.filter((event) => {
-    const eventId = getEventId(event);
-    return eventId && selectedIds.includes(eventId);
-  });
+// calendar/events.ics holds every event in events.master.json; calendar/plans/<seasonId>/
+// <tier>.ics holds the all-day workouts of each published season for one tier.
+async function compileCalendarTarget(build, output) {
+  log('Compiling calendars...');
+  const schedule = await loadEventSchedule(build);
+  // The broadcast events of events.json: selected, and never `publish: false`.
+  const entries = (await selectEvents(build))
+    .filter((raw) => schedule.has(getEventId(raw)))
+    .map((raw) => eventCalendarEntry(raw, schedule.get(getEventId(raw))))
+    .sort((a, b) => a.stamp - b.stamp || (a.uid < b.uid ? -1 : 1));
+  output.emit(
+    'calendar/events.ics',
+    renderCalendar({
+      name: 'SUC events',
+      description: 'SUC group runs and events',
+      timeZones: [EVENT_TIME_ZONE],
+      entries
+    }),
+    ['events/events.master.json', 'events/events.selection.json']
+  );
 
-  const missingIds = selectedIds.filter(
-    (id) => !eventsMaster.some((event) => getEventId(event) === id)
+  const seasons = (await loadSeasonsMaster(build.root)).filter(
+    (season) => season.status === 'published'
   );
-  if (missingIds.length > 0) {
-    console.warn(`[SUC-SHARED-DATA] Missing events for ids: ${missingIds.join(', ')}`);
+  const workouts = await loadWorkoutsMaster(build.root);
+  const sources = ['seasons/seasons.master.json', 'workouts/workouts.master.json'];
+  for (const season of seasons) {
+    let plan;
+    try {
+      plan = resolveSeasonPlan(season, workouts);
+    } catch (error) {
+      report(build, {
+        code: 'plan-unresolvable',
+        severity: 'error',
+        entityId: season.seasonId,
+        file: 'seasons/seasons.master.json',
+        message: `Season ${season.seasonId} plan calendar not built: ${error.message}`
+      });
+      continue;
+    }
+    for (const workoutId of plan.unresolved) {
+      report(build, {
+        code: 'unresolved-workout',
+        entityId: season.seasonId,
+        file: 'seasons/seasons.master.json',
+        message: `Season ${season.seasonId} references workout ${workoutId}, which is missing or not published`
+      });
+    }
+    for (const tier of PLAN_TIERS) {
+      output.emit(
+        `calendar/plans/${season.seasonId}/${tier.toLowerCase()}.ics`,
+        renderCalendar({
+          name: `SUC training plan (${tier})`,
+          description: `Daily workouts for the ${tier} tier`,
+          entries: plan.days.map((day) => planCalendarEntry(season, day, tier))
+        }),
+        sources
+      );
+    }
   }
+  return {};
+}
 
-  log('Compiling POIs...');
-  const { routes, compiledRoutes, poiHighlightsByEvent } =
-    await compileRoutesForEvents(selectedEvents);
+const PLAN_PROBLEMS = {
+  missing: { code: 'plan-reference-missing', severity: 'error', text: 'missing' },
+  draft: { code: 'plan-reference-draft', severity: 'warning', text: 'a draft' }
+};
 
-  log('Compiling events...');
-  const normalizedEvents = selectedEvents.map(normalizeEventForBroadcast);
-  const eventsJson = eventsJsonExport(
-    normalizedEvents.map((event) => ({
-      ...event,
-      poi_highlights: poiHighlightsByEvent[event.event_id] ?? []
-    })),
-    routes
+async function compilePlansTarget(build, output) {
+  log('Compiling plans...');
+  const byId = (entities) => new Map(entities.map((entity) => [entity.id, entity]));
+  const seasons = await loadCanonicalEntities(build, 'seasons', 'schemas/season.schema.json');
+  const entities = {
+    blocks: byId(await loadCanonicalEntities(build, 'blocks', 'schemas/block.schema.json')),
+    weeks: byId(await loadCanonicalEntities(build, 'weeks', 'schemas/week.schema.json')),
+    workouts: byId(await loadCanonicalEntities(build, 'workouts', 'schemas/workout.schema.json'))
+  };
+  const schedule = await loadEventSchedule(build);
+  const events = new Map(
+    (await loadEvents(build)).map((raw) => {
+      const event = normalizeEventForBroadcast(raw);
+      const start = schedule.get(event.event_id);
+      return [
+        event.event_id,
+        {
+          eventName: event.event_name ?? null,
+          startDate: start ? start.date : null,
+          startsAt: start ? start.startsAt : null
+        }
+      ];
+    })
   );
 
-  await fs.mkdir(COMPILED_DIR, { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'routes.json'),
-    JSON.stringify(compiledRoutes, null, 2),
-    'utf8'
+  const index = [];
+  for (const season of seasons.filter((entry) => entry.status === 'published')) {
+    const { plan, problems, files } = resolvePlan(season, { ...entities, events });
+    for (const problem of problems) {
+      const { code, severity, text } = PLAN_PROBLEMS[problem.code];
+      report(build, {
+        code,
+        severity,
+        entityId: season.id,
+        file: season.file,
+        message: `Plan ${season.id}: ${problem.from} references ${text} ${problem.kind} "${problem.id}"; left out`
+      });
+    }
+    const planPath = `plans/${season.id}.json`;
+    output.emit(planPath, toJson(plan), [...files, 'events/events.master.json']);
+    index.push({
+      seasonId: season.id,
+      title: season.title,
+      startDate: plan.startDate,
+      endDate: plan.endDate,
+      weekCount: plan.weekCount,
+      path: planPath
+    });
+  }
+  output.emit(
+    'plans/index.json',
+    toJson(index),
+    seasons.filter((season) => season.status === 'published').map((season) => season.file)
   );
-  log('Wrote compiled/routes.json');
-
-  await fs.writeFile(path.join(COMPILED_DIR, 'events.json'), eventsJson, 'utf8');
-  log('Wrote compiled/events.json');
-
-  log('Compiling training content...');
-  const trainingItems = await loadTrainingContentMaster();
-  const trainingCompiled = compileTrainingContent(trainingItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'training', 'by-topic'), { recursive: true });
-  await fs.mkdir(path.join(COMPILED_DIR, 'training', 'series'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'training', 'index.json'),
-    JSON.stringify(trainingCompiled.index, null, 2),
-    'utf8'
+  return {};
+}
+
+async function compileLeaderboardsTarget(build, output) {
+  log('Compiling leaderboards...');
+  const leaderboards = await loadLeaderboardsCurrent(build);
+  const roster = await loadRoster(build);
+  const source = 'leaderboards/leaderboards.current.json';
+  // No unredacted copy outside team/: readers of the former compiled/leaderboards/ must pick
+  // their audience.
+  output.emit('team/leaderboards/current.json', toJson(leaderboards), [source]);
+
+  const { leaderboard, redactions } = redactLeaderboard(leaderboards, roster);
+  reportRedactions(
+    build,
+    redactions.map((redaction) => ({ audience: 'public', ...redaction })),
+    source
   );
-  for (const [topic, items] of trainingCompiled.byTopic) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'training', 'by-topic', `${topic}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
-  }
-  for (const [series, items] of trainingCompiled.bySeries) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'training', 'series', `${series}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
+  output.emit('public/leaderboards/current.json', toJson(leaderboard), [
+    source,
+    'roster/roster.json'
+  ]);
+  return {};
+}
+
+async function compileRecapsTarget(build, output) {
+  log('Compiling recaps...');
+  const recaps = await loadRecapsMaster(build);
+  for (const recap of recaps) {
+    if (!recap || !recap.date) continue;
+    const dateKey = String(recap.date).trim();
+    if (!dateKey) continue;
+    output.emit(`recaps/weekly/${dateKey}.json`, toJson(recap), ['recaps/recaps.master.json']);
   }
-  log('Wrote compiled/training/*');
-
-  log('Compiling gear reviews...');
-  const gearItems = await loadGearReviewsMaster();
-  const gearCompiled = compileGearReviews(gearItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'gear-reviews', 'by-category'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'gear-reviews', 'index.json'),
-    JSON.stringify(gearCompiled.index, null, 2),
-    'utf8'
+  return {};
+}
+
+const GRAPH_WATCH_DIRS = ['events', 'routes', 'weeks', 'crew-run-recaps', 'race-recaps'];
+// Everything the compiled collections depend on, for targets built from all of them.
+const COLLECTION_WATCH_DIRS = Array.from(
+  new Set([
+    ...COLLECTIONS.map((collection) => collection.source.split('/')[0]),
+    'roster',
+    ...GRAPH_WATCH_DIRS
+  ])
+);
+
+// Independently rebuildable slices of compiled/. `watch` lists the canonical folders whose
+// changes invalidate the target; `outputs` lists the compiled files (or `dir/` prefixes) it
+// owns.
+const BUILD_TARGETS = [
+  {
+    name: 'routes',
+    watch: ['events', 'routes'],
+    outputs: ['routes.json'],
+    compile: compileRoutesTarget
+  },
+  {
+    name: 'events',
+    watch: GRAPH_WATCH_DIRS,
+    outputs: ['events.json', 'events.upcoming.json', 'events.past.json', 'events/'],
+    compile: compileEventsTarget
+  },
+  ...COLLECTIONS.map((collection) => ({
+    name: collection.name,
+    watch: Array.from(
+      new Set([
+        collection.source.split('/')[0],
+        ...(collection.consent ? ['roster'] : []),
+        ...(collection.graphNode ? GRAPH_WATCH_DIRS : [])
+      ])
+    ),
+    outputs: AUDIENCES.map((audience) => `${audience.name}/${collection.outDir}/`),
+    compile: (build, output) => compileCollectionTarget(build, output, collection)
+  })),
+  {
+    name: 'graph',
+    watch: GRAPH_WATCH_DIRS,
+    outputs: ['graph.json', ...AUDIENCES.map((audience) => `${audience.name}/graph.json`)],
+    compile: compileGraphTarget
+  },
+  {
+    name: 'search',
+    watch: COLLECTION_WATCH_DIRS,
+    outputs: ['search/'],
+    compile: compileSearchTarget
+  },
+  {
+    name: 'feeds',
+    watch: COLLECTION_WATCH_DIRS,
+    outputs: ['feeds/'],
+    compile: compileFeedsTarget
+  },
+  {
+    name: 'calendar',
+    watch: ['events', 'seasons', 'workouts'],
+    outputs: ['calendar/'],
+    compile: compileCalendarTarget
+  },
+  {
+    name: 'plans',
+    watch: ['events', 'seasons', 'blocks', 'weeks', 'workouts'],
+    outputs: ['plans/'],
+    compile: compilePlansTarget
+  },
+  {
+    name: 'leaderboards',
+    watch: ['leaderboards', 'roster'],
+    outputs: ['public/leaderboards/', 'team/leaderboards/'],
+    compile: compileLeaderboardsTarget
+  },
+  { name: 'recaps', watch: ['recaps'], outputs: ['recaps/'], compile: compileRecapsTarget }
+];
+
+// Folders that only feed _meta.json, which is regenerated after every build.
+const META_WATCH_DIRS = ['workouts'];
+
+function ownsOutput(target, relPath) {
+  return target.outputs.some((entry) =>
+    entry.endsWith('/') ? relPath.startsWith(entry) : relPath === entry
   );
-  for (const [category, items] of gearCompiled.byCategory) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'gear-reviews', 'by-category', `${category}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
+}
+
+function selectTargets({ only, skip } = {}) {
+  const known = BUILD_TARGETS.map((target) => target.name);
+  const requested = [...(only || []), ...(skip || [])];
+  const unknown = requested.filter((name) => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown build target(s): ${unknown.join(', ')}. Known targets: ${known.join(', ')}`
     );
   }
-  log('Wrote compiled/gear-reviews/*');
-
-  log('Compiling crew stories...');
-  const crewItems = await loadCrewStoriesMaster();
-  const crewCompiled = compileCrewStories(crewItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'crew-stories', 'by-tag'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'crew-stories', 'index.json'),
-    JSON.stringify(crewCompiled.index, null, 2),
-    'utf8'
+  return BUILD_TARGETS.filter(
+    (target) => (!only || only.includes(target.name)) && !(skip && skip.includes(target.name))
   );
-  for (const [tag, items] of crewCompiled.byTag) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'crew-stories', 'by-tag', `${tag}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
+}
+
+function createBuild(context) {
+  return {
+    root: context.root,
+    cache: context.cache,
+    validator: context.validator,
+    // Without a pinned as-of instant every build (including watch rebuilds) runs as of now.
+    asOf: context.asOf || new Date(),
+    horizonDays: context.horizonDays,
+    lookbackDays: context.lookbackDays,
+    target: null,
+    diagnostics: []
+  };
+}
+
+async function compileTargets(build, targets, previousResults = new Map()) {
+  const results = new Map(previousResults);
+  for (const target of targets) {
+    const output = createOutputSet();
+    build.target = target.name;
+    build.diagnostics = [];
+    // eslint-disable-next-line no-await-in-loop
+    const counts = await target.compile(build, output);
+    results.set(target.name, { output, counts, diagnostics: build.diagnostics });
   }
-  log('Wrote compiled/crew-stories/*');
-
-  log('Compiling footwear reviews...');
-  const footwearItems = await loadFootwearReviewsMaster();
-  const footwearCompiled = compileFootwearReviews(footwearItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'footwear-reviews', 'by-topic'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'footwear-reviews', 'index.json'),
-    JSON.stringify(footwearCompiled.index, null, 2),
-    'utf8'
+  return results;
+}
+
+// A partial build keeps the compiled files of the targets it skips exactly as they are on
+// disk, together with their recorded sources, counts and diagnostics.
+async function loadSkippedTargets(outDir, skippedTargets) {
+  const output = createOutputSet();
+  const meta = await readJsonIfExists(path.join(outDir, META_FILE), {});
+  const previous = await readJsonIfExists(path.join(outDir, DIAGNOSTICS_FILE), {});
+  const skippedNames = skippedTargets.map((target) => target.name);
+  const diagnostics = ((previous && previous.diagnostics) || []).filter((diagnostic) =>
+    skippedNames.includes(diagnostic.target)
   );
-  for (const [topic, items] of footwearCompiled.byTopic) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'footwear-reviews', 'by-topic', `${topic}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
+  const manifest = (meta && meta.manifest) || {};
+  for (const relPath of await listFiles(outDir)) {
+    if (!skippedTargets.some((target) => ownsOutput(target, relPath))) continue;
+    // eslint-disable-next-line no-await-in-loop
+    const content = await fs.readFile(path.join(outDir, ...relPath.split('/')), 'utf8');
+    output.emit(relPath, content, manifest[relPath] ? manifest[relPath].sources : []);
   }
-  log('Wrote compiled/footwear-reviews/*');
-
-  log('Compiling race recaps...');
-  const raceRecapItems = await loadRaceRecapsMaster();
-  const raceRecapCompiled = compileRaceRecaps(raceRecapItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'race-recaps', 'by-topic'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'race-recaps', 'index.json'),
-    JSON.stringify(raceRecapCompiled.index, null, 2),
-    'utf8'
+  return { output, counts: (meta && meta.counts) || {}, diagnostics };
+}
+
+// Ordered by target; shared steps (event selection, route groups) report once even when
+// both routes and events were compiled in separate builds.
+function collectDiagnostics(targetResults) {
+  const order = BUILD_TARGETS.map((target) => target.name);
+  const seen = new Set();
+  return targetResults
+    .flatMap((result) => result.diagnostics || [])
+    .sort((a, b) => order.indexOf(a.target) - order.indexOf(b.target))
+    .filter((diagnostic) => {
+      const key = [diagnostic.code, diagnostic.entityId, diagnostic.file, diagnostic.message];
+      if (seen.has(key.join('\u0000'))) return false;
+      seen.add(key.join('\u0000'));
+      return true;
+    });
+}
+
+async function assembleOutput(build, results, skipped) {
+  const workoutsMaster = await loadWorkoutsMaster(build.root);
+  const targetResults = BUILD_TARGETS.map((target) => results.get(target.name)).filter(Boolean);
+  if (skipped) targetResults.unshift(skipped);
+  const output = mergeOutputSets(targetResults.map((result) => result.output));
+  const counts = Object.assign({}, ...targetResults.map((result) => result.counts));
+  const diagnostics = collectDiagnostics(targetResults);
+  output.emit(
+    DIAGNOSTICS_FILE,
+    toJson({
+      errors: diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length,
+      warnings: diagnostics.filter((diagnostic) => diagnostic.severity === 'warning').length,
+      diagnostics
+    }),
+    Array.from(new Set(diagnostics.map((diagnostic) => diagnostic.file).filter(Boolean)))
   );
-  for (const [topic, items] of raceRecapCompiled.byTopic) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'race-recaps', 'by-topic', `${topic}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
+
+  const meta = {
+    lastBuildAt: build.asOf.toISOString(),
+    commit: getGitSha(build.root),
+    counts: {
+      routes: counts.routes ?? 0,
+      events: counts.events ?? 0,
+      workouts: workoutsMaster.length
+    },
+    manifest: buildManifest(output)
+  };
+  output.emit(META_FILE, toJson(meta));
+  return { output, counts: meta.counts, diagnostics };
+}
+
+function parseAsOf(value) {
+  if (value == null) return null;
+  const asOf = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (Number.isNaN(asOf.getTime())) {
+    throw new Error(`Invalid as-of datetime: ${value}`);
   }
-  log('Wrote compiled/race-recaps/*');
-
-  log('Compiling crew run recaps...');
-  const crewRunRecapItems = await loadCrewRunRecapsMaster();
-  const crewRunRecapCompiled = compileCrewRunRecaps(crewRunRecapItems);
-  await fs.mkdir(path.join(COMPILED_DIR, 'crew-run-recaps', 'by-topic'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'crew-run-recaps', 'index.json'),
-    JSON.stringify(crewRunRecapCompiled.index, null, 2),
-    'utf8'
-  );
-  for (const [topic, items] of crewRunRecapCompiled.byTopic) {
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'crew-run-recaps', 'by-topic', `${topic}.json`),
-      JSON.stringify(items, null, 2),
-      'utf8'
-    );
+  return asOf;
+}
+
+function parseDays(value, fallback, label) {
+  if (value == null) return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`Invalid ${label}: ${value} (expected a whole number of days)`);
   }
-  log('Wrote compiled/crew-run-recaps/*');
+  return days;
+}
 
-  log('Compiling leaderboards...');
-  const leaderboards = await loadLeaderboardsCurrent();
-  await fs.mkdir(path.join(COMPILED_DIR, 'leaderboards'), { recursive: true });
-  await fs.writeFile(
-    path.join(COMPILED_DIR, 'leaderboards', 'current.json'),
-    JSON.stringify(leaderboards, null, 2),
-    'utf8'
+async function createBuildContext({
+  root = DEFAULT_ROOT,
+  outDir,
+  asOf,
+  horizonDays,
+  lookbackDays,
+  cache = true
+} = {}) {
+  const resolvedRoot = path.resolve(root);
+  return {
+    root: resolvedRoot,
+    outDir: path.resolve(resolvedRoot, outDir || 'compiled'),
+    asOf: parseAsOf(asOf),
+    horizonDays: parseDays(horizonDays, RECURRENCE_HORIZON_DAYS, 'horizon'),
+    lookbackDays: parseDays(lookbackDays, RECURRENCE_LOOKBACK_DAYS, 'lookback'),
+    validator: createSchemaValidator(resolvedRoot),
+    cache: await createBuildCache({
+      filePath: path.join(resolvedRoot, '.cache', 'compile.json'),
+      fingerprint: await computeCompilerFingerprint(resolvedRoot),
+      enabled: cache
+    })
+  };
+}
+
+// The as-of instant of the build in `outDir` (its _meta.json `lastBuildAt`), or null.
+async function compiledAsOf(outDir) {
+  const meta = await readJsonIfExists(path.join(outDir, META_FILE), {});
+  const asOf = new Date(meta.lastBuildAt);
+  return Number.isNaN(asOf.getTime()) ? null : asOf;
+}
+
+async function runCompile(options) {
+  const targets = selectTargets(options);
+  const context = await createBuildContext(options);
+  // A check runs as of the build it compares against unless an as-of is given, so scheduled
+  // items that went live since then do not count as drift.
+  if (options.check && !context.asOf) context.asOf = await compiledAsOf(context.outDir);
+  const build = createBuild(context);
+  const results = await compileTargets(build, targets);
+  const skippedTargets = BUILD_TARGETS.filter((target) => !targets.includes(target));
+  const skipped = skippedTargets.length
+    ? await loadSkippedTargets(context.outDir, skippedTargets)
+    : null;
+  const { output, counts, diagnostics } = await assembleOutput(build, results, skipped);
+
+  if (!options.check) await context.cache.save({ prune: !skipped });
+  const diff = await diffCompiledFiles(output.files, context.outDir);
+  if (!options.check) await publishCompiledDir(context.outDir, output.files);
+
+  const result = {
+    outDir: context.outDir,
+    targets: targets.map((target) => target.name),
+    files: Object.keys(output.files).sort(),
+    added: diff.added,
+    removed: diff.removed,
+    changed: diff.changed,
+    clean: diff.clean,
+    diagnostics,
+    errors: diagnostics.filter((diagnostic) => diagnostic.severity === 'error'),
+    warnings: diagnostics.filter((diagnostic) => diagnostic.severity === 'warning'),
+    counts,
+    cache: { ...context.cache.stats }
+  };
+  return { result, context, results };
+}
+
+/**
+ * Compiles the canonical files under `root` into `outDir` (default `<root>/compiled`).
+ * `only`/`skip` restrict the build to some targets; the compiled files of the other targets
+ * are kept as they are. With `check`, nothing is written (not even the build cache) and
+ * `clean` reports whether `outDir` already matches the build, by default as of its
+ * `lastBuildAt`.
+ */
+async function compile(options = {}) {
+  const { result } = await runCompile(options);
+  return result;
+}
+
+function parseOptionValues(argv, name) {
+  const values = [];
+  argv.forEach((arg, index) => {
+    if (arg === name && argv[index + 1]) values.push(argv[index + 1]);
+    else if (arg.startsWith(`${name}=`)) values.push(arg.slice(name.length + 1));
+  });
+  return values;
+}
+
+function parseListOption(argv, name) {
+  const values = parseOptionValues(argv, name);
+  if (!values.length) return undefined;
+  return values
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+function parseArgs(argv) {
+  return {
+    check: argv.includes('--check'),
+    watch: argv.includes('--watch'),
+    useCache: !argv.includes('--no-cache'),
+    strict: argv.includes('--strict'),
+    only: parseListOption(argv, '--only'),
+    skip: parseListOption(argv, '--skip'),
+    asOf: parseOptionValues(argv, '--as-of').pop(),
+    horizonDays: parseOptionValues(argv, '--horizon-days').pop(),
+    lookbackDays: parseOptionValues(argv, '--lookback-days').pop()
+  };
+}
+
+function reportDrift({ added, removed, changed, clean }) {
+  if (clean) {
+    log('compiled/ is up to date.');
+    return;
+  }
+  for (const relPath of added) console.log(`  + compiled/${relPath} (missing on disk)`);
+  for (const relPath of removed) console.log(`  - compiled/${relPath} (no longer produced)`);
+  for (const relPath of changed) console.log(`  ~ compiled/${relPath} (differs from build)`);
+  console.error(
+    `[SUC-SHARED-DATA] compiled/ is out of date: ${added.length} added, ${removed.length} removed, ${changed.length} changed. Run npm run build.`
   );
-  log('Wrote compiled/leaderboards/current.json');
+}
 
-  log('Compiling recaps...');
-  const recaps = await loadRecapsMaster();
-  await fs.mkdir(path.join(COMPILED_DIR, 'recaps', 'weekly'), { recursive: true });
-  for (const recap of recaps) {
-    if (!recap || !recap.date) continue;
-    const dateKey = String(recap.date).trim();
-    if (!dateKey) continue;
-    await fs.writeFile(
-      path.join(COMPILED_DIR, 'recaps', 'weekly', `${dateKey}.json`),
-      JSON.stringify(recap, null, 2),
-      'utf8'
-    );
+// The targets a watch rebuild recompiles for changed canonical files (repo-relative paths).
+function affectedTargets(changedPaths) {
+  const dirs = new Set(changedPaths.map((relPath) => relPath.split('/')[0]));
+  return BUILD_TARGETS.filter((target) => target.watch.some((dir) => dirs.has(dir)));
+}
+
+// Directory watchers (rather than recursive fs.watch) keep working when editors save by
+// writing a temp file and renaming it over the original.
+function watchTree(root, relDir, onChange, watched = new Set()) {
+  if (watched.has(relDir)) return;
+  const dirPath = path.join(root, ...relDir.split('/'));
+  let entries;
+  try {
+    entries = fsSync.readdirSync(dirPath, { withFileTypes: true });
+  } catch (error) {
+    return;
+  }
+  watched.add(relDir);
+  fsSync.watch(dirPath, (eventType, fileName) => {
+    if (!fileName) return;
+    const relPath = `${relDir}/${fileName}`;
+    if (eventType === 'rename') watchTree(root, relPath, onChange, watched);
+    onChange(relPath);
+  });
+  for (const entry of entries) {
+    if (entry.isDirectory()) watchTree(root, `${relDir}/${entry.name}`, onChange, watched);
   }
-  log('Wrote compiled/recaps/weekly/*');
+}
 
-  const meta = {
-    lastBuildAt: new Date().toISOString(),
-    commit: getGitSha(),
-    counts: {
-      routes: Object.keys(compiledRoutes.routes || {}).length,
-      events: normalizedEvents.length,
-      workouts: workoutsMaster.length
+async function watch(context, initialResults) {
+  let results = initialResults;
+  let pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const rebuild = async () => {
+    const changedPaths = Array.from(pending).sort();
+    pending = new Set();
+    const targets = affectedTargets(changedPaths);
+    log(`Changed: ${changedPaths.join(', ')}`);
+    log(`Recompiling ${targets.length ? targets.map((t) => t.name).join(', ') : '_meta.json'}...`);
+    try {
+      const build = createBuild(context);
+      const nextResults = await compileTargets(build, targets, results);
+      const { output } = await assembleOutput(build, nextResults);
+      const { added, removed, changed } = await diffCompiledFiles(output.files, context.outDir);
+      await publishCompiledDir(context.outDir, output.files);
+      await context.cache.save({ prune: false });
+      results = nextResults;
+      for (const relPath of added) log(`  + compiled/${relPath}`);
+      for (const relPath of removed) log(`  - compiled/${relPath}`);
+      for (const relPath of changed) log(`  ~ compiled/${relPath}`);
+      if (!added.length && !removed.length && !changed.length) log('  compiled/ unchanged');
+    } catch (error) {
+      console.error(
+        `[SUC-SHARED-DATA] Rebuild failed, compiled/ left as is: ${error instanceof Error ? error.message : error}`
+      );
     }
   };
-  await fs.writeFile(path.join(COMPILED_DIR, '_meta.json'), JSON.stringify(meta, null, 2), 'utf8');
-  log('Wrote compiled/_meta.json');
 
+  const onChange = (relPath) => {
+    pending.add(relPath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(rebuild);
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  const watchDirs = Array.from(
+    new Set([...BUILD_TARGETS.flatMap((target) => target.watch), ...META_WATCH_DIRS])
+  ).sort();
+  for (const dir of watchDirs) watchTree(context.root, dir, onChange);
+  log(`Watching ${watchDirs.map((dir) => `${dir}/`).join(', ')} for changes...`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.watch && (options.only || options.skip)) {
+    throw new Error('--watch always builds every target; drop --only/--skip.');
+  }
+  logShowAllPoisOnce();
+
+  const { result, context, results } = await runCompile({
+    cache: options.useCache,
+    check: options.check,
+    only: options.only,
+    skip: options.skip,
+    asOf: options.asOf,
+    horizonDays: options.horizonDays,
+    lookbackDays: options.lookbackDays
+  });
+  log(`Build cache: ${result.cache.hits} reused, ${result.cache.misses} rebuilt.`);
+  if (options.asOf) log(`Built as of ${context.asOf.toISOString()}.`);
+
+  // Errors (e.g. a skipped route group) always fail the run; --strict fails on warnings too.
+  if (result.diagnostics.length) {
+    log(`${result.errors.length} error(s), ${result.warnings.length} warning(s).`);
+  }
+  if (result.errors.length || (options.strict && result.warnings.length)) {
+    process.exitCode = 1;
+  }
+
+  if (options.check) {
+    reportDrift(result);
+    if (!result.clean) process.exitCode = 1;
+    return;
+  }
+
+  const { added, removed, changed } = result;
+  log(
+    `Wrote compiled/ (${result.files.length} files: ${added.length} added, ${removed.length} removed, ${changed.length} changed).`
+  );
+  for (const relPath of removed) log(`Removed compiled/${relPath}`);
   log('Done.');
+
+  if (options.watch) await watch(context, results);
 }
 
-main().catch((error) => {
-  console.error(error instanceof Error ? error.message : error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  BUILD_TARGETS,
+  affectedTargets,
+  compile
+};
@@ -12,13 +12,15 @@ const PLACEHOLDER_PNG = Buffer.from(
   'base64'
 );
 
-async function readJsonIfExists(filePath, fallback) {
+// A compiled file by its compiled/ relative path; a missing one means compiled/ is out of date
+// (or from an older build layout), so it fails the export instead of exporting nothing.
+async function readCompiledJson(relPath) {
   try {
-    const raw = await fs.readFile(filePath, 'utf8');
+    const raw = await fs.readFile(path.join(COMPILED_DIR, ...relPath.split('/')), 'utf8');
     return JSON.parse(raw);
   } catch (error) {
     const code = error && typeof error === 'object' ? error.code : null;
-    if (code === 'ENOENT') return fallback;
+    if (code === 'ENOENT') throw new Error(`compiled/${relPath} is missing. Run npm run build.`);
     throw error;
   }
 }
@@ -84,18 +86,11 @@ async function exportCrewStoryAssets(stories) {
 async function main() {
   await ensureDir(EXPORTS_DIR);
 
-  const routesPayload = await readJsonIfExists(path.join(COMPILED_DIR, 'routes.json'), {
-    routes: {}
-  });
-  const eventsPayload = await readJsonIfExists(path.join(COMPILED_DIR, 'events.json'), []);
-  const gearPayload = await readJsonIfExists(
-    path.join(COMPILED_DIR, 'gear-reviews', 'index.json'),
-    []
-  );
-  const crewPayload = await readJsonIfExists(
-    path.join(COMPILED_DIR, 'crew-stories', 'index.json'),
-    []
-  );
+  const routesPayload = await readCompiledJson('routes.json');
+  const eventsPayload = await readCompiledJson('events.json');
+  // Exports are public media: only the tier-filtered, redacted public collections.
+  const gearPayload = await readCompiledJson('public/gear-reviews/index.json');
+  const crewPayload = await readCompiledJson('public/crew-stories/index.json');
 
   await exportRouteAssets(routesPayload.routes || {});
   await exportEventAssets(eventsPayload);
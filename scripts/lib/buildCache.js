@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+const MISSING_FILE_MARKER = '\u0000missing';
+
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part));
+    hash.update('\u0000');
+  }
+  return hash.digest('hex');
+}
+
+async function readFileOrMarker(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    const code = error && typeof error === 'object' ? error.code : null;
+    if (code === 'ENOENT') return MISSING_FILE_MARKER;
+    throw error;
+  }
+}
+
+// Hashes file names and contents so that renames, edits and deletions all change the key.
+async function hashFiles(filePaths, baseDir) {
+  const parts = [];
+  for (const filePath of filePaths) {
+    const name = baseDir ? path.relative(baseDir, filePath).split(path.sep).join('/') : filePath;
+    parts.push(name, await readFileOrMarker(filePath));
+  }
+  return hashContent(...parts);
+}
+
+async function hashDirectory(dirPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    const code = error && typeof error === 'object' ? error.code : null;
+    if (code === 'ENOENT') return hashContent(MISSING_FILE_MARKER);
+    throw error;
+  }
+  const files = entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name)
+    .sort()
+    .map((name) => path.join(dirPath, name));
+  return hashFiles(files, dirPath);
+}
+
+async function loadCacheFile(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function createBuildCache({ filePath, fingerprint, enabled = true }) {
+  const stored = enabled ? await loadCacheFile(filePath) : null;
+  const valid =
+    stored &&
+    stored.version === CACHE_VERSION &&
+    stored.fingerprint === fingerprint &&
+    stored.scopes &&
+    typeof stored.scopes === 'object';
+
+  const scopes = valid ? stored.scopes : {};
+  const touched = new Set();
+  const stats = { hits: 0, misses: 0 };
+  const touchKey = (scope, id) => `${scope}\u0000${id}`;
+
+  function get(scope, id, key) {
+    if (!enabled) return null;
+    const entry = scopes[scope] && scopes[scope][id];
+    if (entry && entry.key === key) {
+      stats.hits += 1;
+      touched.add(touchKey(scope, id));
+      return entry.value;
+    }
+    stats.misses += 1;
+    return null;
+  }
+
+  function set(scope, id, key, value) {
+    if (!scopes[scope]) scopes[scope] = {};
+    scopes[scope][id] = { key, value };
+    touched.add(touchKey(scope, id));
+  }
+
+  // A full build prunes entries it did not read or write; partial builds keep them.
+  async function save({ prune = true } = {}) {
+    if (!enabled) return;
+    if (prune) {
+      for (const scope of Object.keys(scopes)) {
+        for (const id of Object.keys(scopes[scope])) {
+          if (!touched.has(touchKey(scope, id))) delete scopes[scope][id];
+        }
+      }
+    }
+    touched.clear();
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const payload = { version: CACHE_VERSION, fingerprint, scopes };
+    await fs.writeFile(filePath, JSON.stringify(payload), 'utf8');
+  }
+
+  return { get, set, save, stats };
+}
+
+module.exports = {
+  hashContent,
+  hashFiles,
+  hashDirectory,
+  createBuildCache
+};
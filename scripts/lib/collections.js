@@ -0,0 +1,331 @@
+'use strict';
+
+const { renderMarkdown } = require('./markdown');
+const { redactItems } = require('./redaction');
+
+// Content collections compiled from <folder>/<name>.master.json files. Each entry declares
+// where the items live, how they are normalized and how they are sliced into compiled/.
+//
+// - fields:        ordered map of field -> normalizer, applied after the raw item is spread
+// - excludeDrafts: drop items whose status is 'draft'
+//
+// Items with a markdown `body` also get `bodyHtml`, its heading `outline`, `wordCount` and
+// `readingTimeMinutes` (see lib/markdown.js).
+//
+// Items whose `publishedAt` lies after the build's as-of instant are held back in every
+// collection (see partitionScheduled).
+//
+// Every collection is written once per audience to compiled/<audience>/<outDir>/ with only the
+// tiers that audience may see; there is no tree with every tier. Audiences with `redact` also
+// get the collection's consent rules applied against the roster.
+// - groups:        one compiled/<outDir>/<dir>/<key>.json per slugified value of `field`
+// - consent:       field -> redaction rule (see lib/redaction.js) applied to public output
+// - graphNode:     node kind in the relationship graph (see lib/graph.js); items get a
+//                  `related` block
+// - search:        search index field (title/summary/body/topics) -> item fields whose text
+//                  it holds (see lib/searchIndex.js)
+
+function slugify(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function normalizeStringArray(value) {
+  if (Array.isArray(value)) {
+    return value.map((entry) => String(entry || '').trim()).filter(Boolean);
+  }
+  if (value == null) return [];
+  const str = String(value).trim();
+  return str ? [str] : [];
+}
+
+const defaultTo = (fallback) => (value) => value || fallback;
+
+const arrayOrEmpty = (value) => (Array.isArray(value) ? value : []);
+
+const optionalNumber = (value) =>
+  Number.isFinite(value) ? value : value ? Number(value) : undefined;
+
+const AUDIENCES = [
+  { name: 'public', tiers: ['public'], redact: true },
+  { name: 'team', tiers: ['public', 'team'] }
+];
+
+const COLLECTIONS = [
+  {
+    name: 'training',
+    label: 'training content',
+    source: 'training-content/training-content.master.json',
+    schema: 'schemas/training-content.schema.json',
+    outDir: 'training',
+    fields: {
+      type: defaultTo('training'),
+      series: defaultTo(null),
+      part: optionalNumber,
+      topics: normalizeStringArray,
+      tier: defaultTo('team'),
+      title: defaultTo(''),
+      summary: defaultTo(''),
+      body: defaultTo('')
+    },
+    excludeDrafts: true,
+    groups: [
+      { field: 'topics', dir: 'by-topic' },
+      { field: 'series', dir: 'series', sortBy: 'part' }
+    ],
+    search: { title: ['title'], summary: ['summary'], body: ['body'], topics: ['topics', 'series'] }
+  },
+  {
+    name: 'gear-reviews',
+    label: 'gear reviews',
+    source: 'gear-reviews/gear-reviews.master.json',
+    schema: 'schemas/gear-review.schema.json',
+    outDir: 'gear-reviews',
+    fields: {
+      type: defaultTo('gear-review'),
+      category: defaultTo(''),
+      tags: normalizeStringArray,
+      tier: defaultTo('public'),
+      summary: defaultTo(''),
+      pros: arrayOrEmpty,
+      cons: arrayOrEmpty,
+      body: defaultTo('')
+    },
+    excludeDrafts: false,
+    groups: [{ field: 'category', dir: 'by-category' }],
+    search: {
+      title: ['brand', 'name'],
+      summary: ['summary', 'verdict'],
+      body: ['body', 'pros', 'cons'],
+      topics: ['topics', 'tags', 'category', 'gearType', 'useCase']
+    }
+  },
+  {
+    name: 'crew-stories',
+    label: 'crew stories',
+    source: 'crew-stories/crew-stories.master.json',
+    schema: 'schemas/crew-story.schema.json',
+    outDir: 'crew-stories',
+    fields: {
+      type: defaultTo('crew-story'),
+      person: defaultTo(''),
+      tags: normalizeStringArray,
+      tier: defaultTo('public'),
+      summary: defaultTo(''),
+      body: defaultTo('')
+    },
+    excludeDrafts: false,
+    groups: [{ field: 'tags', dir: 'by-tag' }],
+    consent: {
+      person: 'storySubject',
+      title: 'mentions',
+      summary: 'mentions',
+      body: 'markdownBody'
+    },
+    search: { title: ['title'], summary: ['summary'], body: ['body', 'person'], topics: ['tags'] }
+  },
+  {
+    name: 'footwear-reviews',
+    label: 'footwear reviews',
+    source: 'footwear-reviews/footwear-reviews.master.json',
+    schema: 'schemas/footwear-review.schema.json',
+    outDir: 'footwear-reviews',
+    fields: {
+      brand: defaultTo(''),
+      model: defaultTo(''),
+      topics: normalizeStringArray,
+      tier: defaultTo('team'),
+      status: defaultTo('published')
+    },
+    excludeDrafts: true,
+    groups: [{ field: 'topics', dir: 'by-topic' }],
+    search: {
+      title: ['brand', 'model'],
+      summary: ['verdict'],
+      body: ['body', 'pros', 'cons'],
+      topics: ['topics', 'terrain', 'category', 'useCase']
+    }
+  },
+  {
+    name: 'race-recaps',
+    label: 'race recaps',
+    source: 'race-recaps/race-recaps.master.json',
+    schema: 'schemas/race-recap.schema.json',
+    outDir: 'race-recaps',
+    fields: {
+      raceName: defaultTo(''),
+      distance: defaultTo(''),
+      topics: normalizeStringArray,
+      tier: defaultTo('team'),
+      status: defaultTo('published')
+    },
+    excludeDrafts: true,
+    groups: [{ field: 'topics', dir: 'by-topic' }],
+    graphNode: 'race-recap',
+    search: {
+      title: ['raceName'],
+      summary: ['strategySummary', 'result'],
+      body: ['body', 'conditions', 'whatWorked', 'whatDidnt', 'lessons'],
+      topics: ['topics', 'distance']
+    }
+  },
+  {
+    name: 'crew-run-recaps',
+    label: 'crew run recaps',
+    source: 'crew-run-recaps/crew-run-recaps.master.json',
+    schema: 'schemas/crew-run-recap.schema.json',
+    outDir: 'crew-run-recaps',
+    fields: {
+      eventName: defaultTo(''),
+      eventDate: defaultTo(''),
+      topics: normalizeStringArray,
+      tier: defaultTo('team'),
+      status: defaultTo('published')
+    },
+    excludeDrafts: true,
+    groups: [{ field: 'topics', dir: 'by-topic' }],
+    consent: {
+      crewShoutouts: 'shoutouts',
+      title: 'mentions',
+      summary: 'mentions',
+      highlights: 'mentions',
+      body: 'markdownBody'
+    },
+    graphNode: 'crew-run-recap',
+    search: {
+      title: ['eventName'],
+      summary: ['highlights'],
+      body: ['body', 'routeName', 'conditions', 'crewShoutouts'],
+      topics: ['topics', 'distance']
+    }
+  }
+];
+
+// Splits raw items into those published at `asOf` and those scheduled for later. Items
+// without a parseable publishedAt are treated as published.
+function partitionScheduled(rawItems, asOf) {
+  const published = [];
+  const scheduled = [];
+  for (const raw of rawItems) {
+    const publishedAt = raw && raw.publishedAt ? Date.parse(raw.publishedAt) : NaN;
+    if (Number.isFinite(publishedAt) && publishedAt > asOf.getTime()) scheduled.push(raw);
+    else published.push(raw);
+  }
+  return { published, scheduled };
+}
+
+function normalizeCollectionItem(collection, raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = String(raw.id || '').trim();
+  if (!id) return null;
+  const item = { ...raw, id };
+  for (const [field, normalize] of Object.entries(collection.fields)) {
+    item[field] = normalize(raw[field]);
+  }
+  if (typeof item.body === 'string') {
+    const { html, outline, wordCount, readingTimeMinutes } = renderMarkdown(item.body);
+    Object.assign(item, { bodyHtml: html, outline, wordCount, readingTimeMinutes });
+  }
+  return item;
+}
+
+function groupItems(items, group) {
+  const byKey = new Map();
+  for (const item of items) {
+    const value = item[group.field];
+    for (const entry of Array.isArray(value) ? value : [value]) {
+      const key = slugify(entry);
+      if (!key) continue;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(item);
+    }
+  }
+  if (group.sortBy) {
+    for (const [, entries] of byKey) {
+      entries.sort((a, b) => (a[group.sortBy] || 0) - (b[group.sortBy] || 0));
+    }
+  }
+  return byKey;
+}
+
+function groupCollection(collection, index) {
+  const groups = collection.groups.map((group) => ({
+    dir: group.dir,
+    byKey: groupItems(index, group)
+  }));
+  return { index, groups };
+}
+
+function compileCollection(collection, rawItems) {
+  const normalized = rawItems
+    .map((raw) => normalizeCollectionItem(collection, raw))
+    .filter(Boolean);
+  const index = collection.excludeDrafts
+    ? normalized.filter((item) => item.status !== 'draft')
+    : normalized;
+  return groupCollection(collection, index);
+}
+
+// Items whose tier is not listed for the audience (including unknown tiers) are left out,
+// and so are `related` entries pointing at them.
+function compileAudienceCollection(collection, compiled, audience, roster) {
+  const visible = compiled.index
+    .filter((item) => audience.tiers.includes(item.tier))
+    .map((item) =>
+      Array.isArray(item.related)
+        ? { ...item, related: item.related.filter((entry) => audience.tiers.includes(entry.tier)) }
+        : item
+    );
+  if (!audience.redact || !collection.consent) {
+    return { ...groupCollection(collection, visible), redactions: [] };
+  }
+  const { items, redactions } = redactItems(visible, collection.consent, roster);
+  return { ...groupCollection(collection, items), redactions };
+}
+
+// Maps a compiled collection to compiled/ relative paths and their JSON content.
+function collectionFiles(collection, compiled, baseDir) {
+  const files = {
+    [`${baseDir}/index.json`]: JSON.stringify(compiled.index, null, 2)
+  };
+  for (const group of compiled.groups) {
+    for (const [key, items] of group.byKey) {
+      files[`${baseDir}/${group.dir}/${key}.json`] = JSON.stringify(items, null, 2);
+    }
+  }
+  return files;
+}
+
+// One compiled/<audience>/<outDir>/ tree per audience, with every redaction made for them.
+function collectionOutputFiles(collection, rawItems, roster) {
+  const compiled = compileCollection(collection, rawItems);
+  const files = {};
+  const redactions = [];
+  for (const audience of AUDIENCES) {
+    const audienceCompiled = compileAudienceCollection(collection, compiled, audience, roster);
+    Object.assign(
+      files,
+      collectionFiles(collection, audienceCompiled, `${audience.name}/${collection.outDir}`)
+    );
+    redactions.push(
+      ...audienceCompiled.redactions.map((redaction) => ({ audience: audience.name, ...redaction }))
+    );
+  }
+  return { files, redactions };
+}
+
+module.exports = {
+  AUDIENCES,
+  COLLECTIONS,
+  slugify,
+  normalizeStringArray,
+  normalizeCollectionItem,
+  partitionScheduled,
+  compileCollection,
+  compileAudienceCollection,
+  collectionFiles,
+  collectionOutputFiles
+};
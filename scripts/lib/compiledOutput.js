@@ -0,0 +1,209 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Build-specific fields in _meta.json that are expected to differ between two builds
+// of the same inputs.
+const VOLATILE_META_FIELDS = ['lastBuildAt', 'commit'];
+const META_FILE = '_meta.json';
+
+// Collects compiled files in memory together with the canonical files each one came from.
+function createOutputSet() {
+  const files = {};
+  const sources = {};
+
+  function emit(relPath, content, fromSources = []) {
+    files[relPath] = content;
+    sources[relPath] = Array.from(new Set(fromSources)).sort();
+  }
+
+  return { files, sources, emit };
+}
+
+function mergeOutputSets(outputSets) {
+  const merged = createOutputSet();
+  for (const outputSet of outputSets) {
+    for (const [relPath, content] of Object.entries(outputSet.files)) {
+      if (relPath in merged.files) {
+        throw new Error(`compiled/${relPath} is produced by more than one build target`);
+      }
+      merged.emit(relPath, content, outputSet.sources[relPath]);
+    }
+  }
+  return merged;
+}
+
+function describeContent(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  return { sha256, bytes: buffer.length, etag: `"${sha256}"` };
+}
+
+function buildManifest(outputSet) {
+  const manifest = {};
+  for (const relPath of Object.keys(outputSet.files).sort()) {
+    if (relPath === META_FILE) continue;
+    manifest[relPath] = {
+      ...describeContent(outputSet.files[relPath]),
+      sources: outputSet.sources[relPath] || []
+    };
+  }
+  return manifest;
+}
+
+async function verifyCompiledDir(baseDir, manifest) {
+  const onDisk = await listFiles(baseDir);
+  const onDiskSet = new Set(onDisk);
+  const missing = [];
+  const mismatched = [];
+
+  for (const [relPath, expected] of Object.entries(manifest)) {
+    if (!onDiskSet.has(relPath)) {
+      missing.push(relPath);
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const actual = describeContent(await fs.readFile(toFilePath(baseDir, relPath)));
+    if (actual.sha256 !== expected.sha256 || actual.bytes !== expected.bytes) {
+      mismatched.push(relPath);
+    }
+  }
+
+  const unexpected = onDisk.filter((relPath) => relPath !== META_FILE && !(relPath in manifest));
+  return {
+    missing,
+    mismatched,
+    unexpected,
+    ok: !missing.length && !mismatched.length && !unexpected.length
+  };
+}
+
+function toFilePath(baseDir, relPath) {
+  return path.join(baseDir, ...relPath.split('/'));
+}
+
+async function listFiles(baseDir, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(baseDir, prefix), { withFileTypes: true });
+  } catch (error) {
+    const code = error && typeof error === 'object' ? error.code : null;
+    if (code === 'ENOENT') return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      // eslint-disable-next-line no-await-in-loop
+      files.push(...(await listFiles(baseDir, relPath)));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files.sort();
+}
+
+function normalizeForComparison(relPath, content) {
+  if (relPath !== META_FILE) return content;
+  try {
+    const parsed = JSON.parse(content);
+    for (const field of VOLATILE_META_FIELDS) delete parsed[field];
+    return JSON.stringify(parsed);
+  } catch (error) {
+    return content;
+  }
+}
+
+async function diffCompiledFiles(outputs, baseDir) {
+  const onDisk = await listFiles(baseDir);
+  const onDiskSet = new Set(onDisk);
+  const added = [];
+  const changed = [];
+
+  for (const relPath of Object.keys(outputs).sort()) {
+    if (!onDiskSet.has(relPath)) {
+      added.push(relPath);
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await fs.readFile(toFilePath(baseDir, relPath), 'utf8');
+    if (
+      normalizeForComparison(relPath, existing) !==
+      normalizeForComparison(relPath, outputs[relPath])
+    ) {
+      changed.push(relPath);
+    }
+  }
+
+  const removed = onDisk.filter((relPath) => !(relPath in outputs));
+  return { added, removed, changed, clean: !added.length && !removed.length && !changed.length };
+}
+
+async function removeDir(dirPath) {
+  await fs.rm(dirPath, { recursive: true, force: true });
+}
+
+async function writeTree(baseDir, outputs) {
+  for (const [relPath, content] of Object.entries(outputs)) {
+    const filePath = toFilePath(baseDir, relPath);
+    // eslint-disable-next-line no-await-in-loop
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // eslint-disable-next-line no-await-in-loop
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+}
+
+// Writes the complete output into a sibling staging directory and swaps it into place, so
+// readers never see a half-written tree and files that are no longer produced disappear.
+// The swap is two renames (compiled/ aside, staging in) and not atomic: between them, for
+// the duration of one rename, compiled/ does not exist. Readers that may run during a build
+// should retry a missing compiled/ rather than treat it as empty.
+async function publishCompiledDir(baseDir, outputs) {
+  const suffix = `${process.pid}-${Date.now()}`;
+  const stagingDir = `${baseDir}.staging-${suffix}`;
+  const previousDir = `${baseDir}.previous-${suffix}`;
+
+  try {
+    await writeTree(stagingDir, outputs);
+  } catch (error) {
+    await removeDir(stagingDir);
+    throw error;
+  }
+
+  let hadPrevious = true;
+  try {
+    await fs.rename(baseDir, previousDir);
+  } catch (error) {
+    const code = error && typeof error === 'object' ? error.code : null;
+    if (code !== 'ENOENT') {
+      await removeDir(stagingDir);
+      throw error;
+    }
+    hadPrevious = false;
+  }
+
+  try {
+    await fs.rename(stagingDir, baseDir);
+  } catch (error) {
+    if (hadPrevious) await fs.rename(previousDir, baseDir);
+    await removeDir(stagingDir);
+    throw error;
+  }
+
+  if (hadPrevious) await removeDir(previousDir);
+}
+
+module.exports = {
+  META_FILE,
+  createOutputSet,
+  mergeOutputSets,
+  buildManifest,
+  describeContent,
+  verifyCompiledDir,
+  listFiles,
+  diffCompiledFiles,
+  publishCompiledDir
+};
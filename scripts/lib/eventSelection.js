@@ -0,0 +1,71 @@
+'use strict';
+
+// Which events are broadcast, as described by events/events.selection.json:
+//
+//   { "version": 2, "window": { "pastDays": 7, "futureDays": 56 },
+//     "types": ["crew-run", "training-run"], "include": ["SUC-031"], "exclude": ["SUC-030"] }
+//
+// - rules: with a `window`, events whose start date lies from `pastDays` before to
+//   `futureDays` after the build date (either bound may be left out); with `types`, events of
+//   one of those types. Without any rule nothing is selected by rule.
+// - `include` adds events regardless of the rules, `exclude` removes them; both take event
+//   ids, occurrence ids or recurring series ids (all occurrences). Version 1 `selectedEventIds`
+//   count as includes.
+// - events with `publish: false` are never selected.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function eventIdOf(event) {
+  return event.event_id ?? event.eventId ?? event.id;
+}
+
+function matchesId(event, id) {
+  return eventIdOf(event) === id || event.series_id === id;
+}
+
+function normalizeSelection(parsed) {
+  const window = parsed.window || null;
+  const types = parsed.types || null;
+  return {
+    rules: window || types ? { window, types } : null,
+    include: [...(parsed.selectedEventIds || []), ...(parsed.include || [])],
+    exclude: parsed.exclude || []
+  };
+}
+
+function matchesRules(rules, event, startDate, today) {
+  if (rules.types && !rules.types.includes(event.type)) return false;
+  if (!rules.window) return true;
+  if (!startDate) return false;
+  const { pastDays, futureDays } = rules.window;
+  if (pastDays != null && startDate < addDays(today, -pastDays)) return false;
+  if (futureDays != null && startDate > addDays(today, futureDays)) return false;
+  return true;
+}
+
+// Applies a parsed selection file to the (expanded) events. `today` is the build date and
+// `startDateOf(event)` the event's parsed ISO start date, or null. Returns the selected events
+// in their given order, the explicitly included ids (`include`) and the included events left
+// out because of `publish: false` (`unpublished`).
+function applySelection(events, parsed, { today, startDateOf }) {
+  const { rules, include, exclude } = normalizeSelection(parsed);
+  const unpublished = [];
+  const selected = events.filter((event) => {
+    if (!eventIdOf(event) || exclude.some((id) => matchesId(event, id))) return false;
+    const included = include.some((id) => matchesId(event, id));
+    if (event.publish === false) {
+      if (included) unpublished.push(event);
+      return false;
+    }
+    return included || Boolean(rules && matchesRules(rules, event, startDateOf(event), today));
+  });
+  return { selected, unpublished, include };
+}
+
+module.exports = {
+  applySelection
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+// Event dates and times as written in events.master.json: `event_date` is "Feb 14 2026"
+// (or an ISO date) and `event_time` is "8:15 AM" (or 24h "08:15"), both civil values in the
+// club's time zone.
+
+const EVENT_TIME_ZONE = 'America/Los_Angeles';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function isValidCivilDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+  );
+}
+
+function formatCivilDate(year, month, day) {
+  return [
+    String(year).padStart(4, '0'),
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0')
+  ].join('-');
+}
+
+// "Feb 14 2026", "February 14, 2026" or "2026-02-14" -> "2026-02-14"; anything else,
+// including impossible dates, -> null.
+function parseEventDate(value) {
+  const raw = String(value ?? '').trim();
+  let year;
+  let month;
+  let day;
+  const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const named = raw.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (named) {
+    month = MONTHS.indexOf(named[1].toLowerCase()) + 1;
+    day = Number(named[2]);
+    year = Number(named[3]);
+  } else {
+    return null;
+  }
+  return month && isValidCivilDate(year, month, day) ? formatCivilDate(year, month, day) : null;
+}
+
+// "8:15 AM", "8 AM" or "08:15" -> "08:15"; anything else -> null.
+function parseEventTime(value) {
+  const raw = String(value ?? '')
+    .trim()
+    .toUpperCase();
+  const twelveHour = raw.match(/^(\d{1,2})(?::(\d{2}))?\s*([AP])\.?M\.?$/);
+  const twentyFourHour = raw.match(/^(\d{1,2}):(\d{2})$/);
+  let hours;
+  let minutes;
+  if (twelveHour) {
+    hours = Number(twelveHour[1]);
+    minutes = Number(twelveHour[2] || 0);
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (twelveHour[3] === 'P' ? 12 : 0);
+  } else if (twentyFourHour) {
+    hours = Number(twentyFourHour[1]);
+    minutes = Number(twentyFourHour[2]);
+    if (hours > 23) return null;
+  } else {
+    return null;
+  }
+  if (minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function zoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUtc - instant.getTime();
+}
+
+// The instant a civil date and time ("2026-02-14", "08:15") denote in `timeZone`.
+function zonedTimeToDate(date, time, timeZone = EVENT_TIME_ZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month - 1, day, hours, minutes);
+  const first = guess - zoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - zoneOffsetMs(new Date(first), timeZone));
+}
+
+// The civil date ("2026-02-14") of an instant in `timeZone`.
+function zonedDate(instant, timeZone = EVENT_TIME_ZONE) {
+  return new Date(instant.getTime() + zoneOffsetMs(instant, timeZone)).toISOString().slice(0, 10);
+}
+
+function formatOffset(offsetMs) {
+  const minutes = Math.round(Math.abs(offsetMs) / 60000);
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${offsetMs < 0 ? '-' : '+'}${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// "2026-02-14", "08:15" -> "2026-02-14T08:15:00-08:00": the civil time with the zone's UTC
+// offset at that instant.
+function toZonedIso(date, time, timeZone = EVENT_TIME_ZONE) {
+  const offset = zoneOffsetMs(zonedTimeToDate(date, time, timeZone), timeZone);
+  return `${date}T${time}:00${formatOffset(offset)}`;
+}
+
+// Parses an event's raw `event_date`/`event_time` into { date, time, startsAt }; an event
+// without `event_time` is date-only (`time` and `startsAt` null). Returns { error } when the
+// date is missing or either value does not parse.
+function parseEventStart(eventDate, eventTime, timeZone = EVENT_TIME_ZONE) {
+  const date = parseEventDate(eventDate);
+  if (!date) {
+    return {
+      error: eventDate
+        ? `event_date "${eventDate}" is not a date like "Feb 7 2026" or "2026-02-07"`
+        : 'event_date is missing'
+    };
+  }
+  if (eventTime === undefined || eventTime === null || String(eventTime).trim() === '') {
+    return { date, time: null, startsAt: null };
+  }
+  const time = parseEventTime(eventTime);
+  if (!time) return { error: `event_time "${eventTime}" is not a time like "7:15 AM" or "07:15"` };
+  return { date, time, startsAt: toZonedIso(date, time, timeZone) };
+}
+
+module.exports = {
+  EVENT_TIME_ZONE,
+  parseEventDate,
+  parseEventStart,
+  parseEventTime,
+  toZonedIso,
+  zonedDate,
+  zonedTimeToDate
+};
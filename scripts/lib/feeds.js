@@ -0,0 +1,169 @@
+'use strict';
+
+const { escapeHtml } = require('./markdown');
+const { describeItem } = require('./searchIndex');
+
+// RSS 2.0, Atom and JSON Feed 1.1 renderings of compiled collection items. Every feed is
+// written in all three formats next to each other (<path>.rss.xml, <path>.atom.xml,
+// <path>.feed.json). Entries are newest first by publishedAt and keep the GUID
+// urn:suc:<collection>:<id>, so readers never see an item twice after a rebuild.
+
+const FEED_FORMATS = ['rss.xml', 'atom.xml', 'feed.json'];
+// Atom requires an <updated> date; an empty feed uses this fixed one to stay deterministic.
+const EMPTY_FEED_UPDATED = '1970-01-01T00:00:00.000Z';
+
+function toIso(value) {
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function feedEntry(collection, item, siteUrl) {
+  const { title, summary, url } = describeItem(collection, item);
+  const tags = item.topics || item.tags || [];
+  return {
+    guid: `urn:suc:${collection.name}:${item.id}`,
+    title,
+    summary,
+    url: `${siteUrl}${url}`,
+    contentHtml: item.bodyHtml || '',
+    publishedAt: toIso(item.publishedAt),
+    author: item.author || null,
+    tags: Array.isArray(tags) ? tags : [tags]
+  };
+}
+
+function sortEntries(entries) {
+  return entries.slice().sort((a, b) => {
+    if (a.publishedAt !== b.publishedAt) {
+      if (!a.publishedAt) return 1;
+      if (!b.publishedAt) return -1;
+      return a.publishedAt < b.publishedAt ? 1 : -1;
+    }
+    return a.guid < b.guid ? -1 : a.guid > b.guid ? 1 : 0;
+  });
+}
+
+function renderRss(feed) {
+  const items = feed.entries.map((entry) =>
+    [
+      '    <item>',
+      `      <title>${escapeHtml(entry.title)}</title>`,
+      `      <link>${escapeHtml(entry.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeHtml(entry.guid)}</guid>`,
+      entry.publishedAt && `      <pubDate>${new Date(entry.publishedAt).toUTCString()}</pubDate>`,
+      entry.author && `      <dc:creator>${escapeHtml(entry.author)}</dc:creator>`,
+      ...entry.tags.map((tag) => `      <category>${escapeHtml(tag)}</category>`),
+      `      <description>${escapeHtml(entry.summary)}</description>`,
+      entry.contentHtml &&
+        `      <content:encoded>${escapeHtml(entry.contentHtml)}</content:encoded>`,
+      '    </item>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeHtml(feed.title)}</title>`,
+    `    <link>${escapeHtml(feed.homeUrl)}</link>`,
+    `    <description>${escapeHtml(feed.description)}</description>`,
+    `    <atom:link href="${escapeHtml(feed.feedUrls['rss.xml'])}" rel="self" type="application/rss+xml"/>`,
+    feed.updated && `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function renderAtom(feed) {
+  const entries = feed.entries.map((entry) =>
+    [
+      '  <entry>',
+      `    <id>${escapeHtml(entry.guid)}</id>`,
+      `    <title>${escapeHtml(entry.title)}</title>`,
+      `    <link href="${escapeHtml(entry.url)}"/>`,
+      `    <updated>${entry.publishedAt || feed.updated || EMPTY_FEED_UPDATED}</updated>`,
+      entry.publishedAt && `    <published>${entry.publishedAt}</published>`,
+      entry.author && `    <author><name>${escapeHtml(entry.author)}</name></author>`,
+      ...entry.tags.map((tag) => `    <category term="${escapeHtml(tag)}"/>`),
+      `    <summary>${escapeHtml(entry.summary)}</summary>`,
+      entry.contentHtml && `    <content type="html">${escapeHtml(entry.contentHtml)}</content>`,
+      '  </entry>'
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeHtml(feed.id)}</id>`,
+    `  <title>${escapeHtml(feed.title)}</title>`,
+    `  <subtitle>${escapeHtml(feed.description)}</subtitle>`,
+    `  <link href="${escapeHtml(feed.homeUrl)}"/>`,
+    `  <link href="${escapeHtml(feed.feedUrls['atom.xml'])}" rel="self"/>`,
+    `  <updated>${feed.updated || EMPTY_FEED_UPDATED}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.feedUrls['feed.json'],
+      items: feed.entries.map((entry) => ({
+        id: entry.guid,
+        url: entry.url,
+        title: entry.title,
+        summary: entry.summary,
+        content_html: entry.contentHtml,
+        ...(entry.publishedAt ? { date_published: entry.publishedAt } : {}),
+        ...(entry.author ? { authors: [{ name: entry.author }] } : {}),
+        tags: entry.tags
+      }))
+    },
+    null,
+    2
+  );
+}
+
+const RENDERERS = {
+  'rss.xml': renderRss,
+  'atom.xml': renderAtom,
+  'feed.json': renderJsonFeed
+};
+
+// `path` is the compiled/-relative feed path without extension, e.g. feeds/training/index.
+// Returns the three files keyed by their compiled/-relative paths.
+function feedFiles({ path, title, description, homePath = '/', entries, siteUrl }) {
+  const sorted = sortEntries(entries);
+  const feed = {
+    id: `urn:suc:feed:${path}`,
+    title,
+    description,
+    homeUrl: `${siteUrl}${homePath}`,
+    feedUrls: Object.fromEntries(
+      FEED_FORMATS.map((format) => [format, `${siteUrl}/${path}.${format}`])
+    ),
+    updated: sorted.length ? sorted[0].publishedAt : null,
+    entries: sorted
+  };
+  return Object.fromEntries(
+    FEED_FORMATS.map((format) => [`${path}.${format}`, RENDERERS[format](feed)])
+  );
+}
+
+module.exports = {
+  FEED_FORMATS,
+  feedEntry,
+  feedFiles
+};
@@ -0,0 +1,200 @@
+'use strict';
+
+// Relationship graph between events, route groups, crew-run recaps, race recaps and
+// training weeks. References are resolved from the canonical fields:
+//
+// - event.route_group_ids          -> route groups
+// - crew-run recap eventId/eventName(+eventDate), routeId -> event, route group
+// - race recap eventId/raceName(+raceDate)                -> event
+// - week eventIds (+eventRoles)                           -> events
+//
+// Explicit ids that do not resolve are warnings; name matches are best effort and only
+// reported as info.
+//
+// Each node carries the tier of the audience that may see it: events are public unless they
+// have `publish: false`, route groups are public, recaps keep their own tier and weeks are team.
+
+const NODE_KINDS = {
+  event: {
+    url: (id) => `/events/${id}`,
+    tier: (item) => (item.publish === false ? 'team' : 'public')
+  },
+  'route-group': { url: (id) => `/routes/${id}`, tier: () => 'public' },
+  'crew-run-recap': { url: (id) => `/crew-run-recaps/${id}`, tier: (item) => item.tier },
+  'race-recap': { url: (id) => `/race-recaps/${id}`, tier: (item) => item.tier },
+  week: { url: (id) => `/training/weeks/${id}`, tier: () => 'team' }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function nodeKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function normalizeTitle(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// "2026-02-02" or "Feb 7 2026" -> "2026-02-07"; anything else -> null.
+function toIsoDate(value) {
+  const raw = String(value || '').trim();
+  const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const named = raw.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (!named) return null;
+  const month = MONTHS.indexOf(named[1].toLowerCase());
+  if (month === -1) return null;
+  return `${named[3]}-${String(month + 1).padStart(2, '0')}-${named[2].padStart(2, '0')}`;
+}
+
+function buildGraph({
+  events = [],
+  routeGroups = [],
+  crewRunRecaps = [],
+  raceRecaps = [],
+  weeks = []
+}) {
+  const nodes = new Map();
+  const edges = [];
+  const unresolved = [];
+
+  function addNode(kind, id, title, item = {}) {
+    if (!id) return;
+    const definition = NODE_KINDS[kind];
+    nodes.set(nodeKey(kind, id), {
+      key: nodeKey(kind, id),
+      kind,
+      id,
+      title: title || id,
+      url: definition.url(id),
+      tier: definition.tier(item) || 'team'
+    });
+  }
+
+  for (const event of events) addNode('event', event.id, event.name, event);
+  for (const group of routeGroups) addNode('route-group', group.id, group.name);
+  for (const recap of crewRunRecaps) addNode('crew-run-recap', recap.id, recap.eventName, recap);
+  for (const recap of raceRecaps) addNode('race-recap', recap.id, recap.raceName, recap);
+  for (const week of weeks) addNode('week', week.id, week.title, week);
+
+  function addEdge(from, to, via, extra = {}) {
+    edges.push({ from, to, via, ...extra });
+  }
+
+  function reportUnresolved(from, via, value, severity) {
+    unresolved.push({ from, via, value, severity });
+  }
+
+  function resolveEventId(from, via, eventId) {
+    if (nodes.has(nodeKey('event', eventId))) return nodeKey('event', eventId);
+    reportUnresolved(from, via, eventId, 'warning');
+    return null;
+  }
+
+  // Explicit eventId wins; otherwise the event with the same name (and date, when both
+  // sides have one).
+  function matchEvent(from, item, nameField, dateField) {
+    if (item.eventId) {
+      const key = resolveEventId(from, 'eventId', item.eventId);
+      if (key) addEdge(from, key, 'eventId');
+      return;
+    }
+    const name = normalizeTitle(item[nameField]);
+    if (!name) return;
+    const date = toIsoDate(item[dateField]);
+    const match = events.find(
+      (event) =>
+        normalizeTitle(event.name) === name &&
+        (!date || !toIsoDate(event.date) || toIsoDate(event.date) === date)
+    );
+    if (match) addEdge(from, nodeKey('event', match.id), nameField);
+    else reportUnresolved(from, nameField, item[nameField], 'info');
+  }
+
+  for (const event of events) {
+    const from = nodeKey('event', event.id);
+    for (const groupId of event.routeGroupIds || []) {
+      if (nodes.has(nodeKey('route-group', groupId))) {
+        addEdge(from, nodeKey('route-group', groupId), 'route_group_ids');
+      } else {
+        reportUnresolved(from, 'route_group_ids', groupId, 'warning');
+      }
+    }
+  }
+
+  for (const recap of crewRunRecaps) {
+    const from = nodeKey('crew-run-recap', recap.id);
+    matchEvent(from, recap, 'eventName', 'eventDate');
+    if (recap.routeId) {
+      const routeId = String(recap.routeId).toLowerCase();
+      const group = routeGroups.find(
+        (candidate) =>
+          candidate.id.toLowerCase() === routeId ||
+          (candidate.variants || []).some(
+            (label) => `${candidate.id}-${label}`.toLowerCase() === routeId
+          )
+      );
+      if (group) addEdge(from, nodeKey('route-group', group.id), 'routeId');
+      else reportUnresolved(from, 'routeId', recap.routeId, 'warning');
+    }
+  }
+
+  for (const recap of raceRecaps) {
+    matchEvent(nodeKey('race-recap', recap.id), recap, 'raceName', 'raceDate');
+  }
+
+  for (const week of weeks) {
+    const from = nodeKey('week', week.id);
+    const roles = week.eventRoles || {};
+    for (const eventId of week.eventIds || []) {
+      const key = resolveEventId(from, 'eventIds', eventId);
+      if (key) addEdge(from, key, 'eventIds', roles[eventId] ? { role: roles[eventId] } : {});
+    }
+  }
+
+  return { nodes: Array.from(nodes.values()), edges, unresolved };
+}
+
+// Direct neighbours of a node in either direction, as shown in an item's `related` block; with
+// `tiers`, only the neighbours of those tiers.
+function relatedFor(graph, key, tiers = null) {
+  const byKey = new Map(graph.nodes.map((node) => [node.key, node]));
+  const related = [];
+  for (const edge of graph.edges) {
+    if (edge.from !== key && edge.to !== key) continue;
+    const other = byKey.get(edge.from === key ? edge.to : edge.from);
+    if (!other || (tiers && !tiers.includes(other.tier))) continue;
+    related.push({
+      kind: other.kind,
+      id: other.id,
+      title: other.title,
+      url: other.url,
+      tier: other.tier,
+      via: edge.via,
+      ...(edge.role ? { role: edge.role } : {})
+    });
+  }
+  return related;
+}
+
+// The part of the graph an audience may see: nodes of its tiers and the edges between them.
+function filterGraph(graph, tiers) {
+  const nodes = graph.nodes.filter((node) => tiers.includes(node.tier));
+  const keys = new Set(nodes.map((node) => node.key));
+  return {
+    nodes,
+    edges: graph.edges.filter((edge) => keys.has(edge.from) && keys.has(edge.to))
+  };
+}
+
+module.exports = {
+  nodeKey,
+  toIsoDate,
+  buildGraph,
+  relatedFor,
+  filterGraph
+};
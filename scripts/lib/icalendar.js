@@ -0,0 +1,133 @@
+'use strict';
+
+// Minimal RFC 5545 writer for the compiled .ics feeds. Lines are CRLF-terminated and folded at
+// 75 octets; text values are escaped. DTSTAMP is taken from each entry (not the build time) so
+// the output is deterministic, and UIDs come from canonical ids so calendar clients update
+// entries in place across rebuilds.
+
+const PRODID = '-//SUC//Shared Data//EN';
+
+// Pacific time with the US rules in force since 2007.
+const VTIMEZONE_LOS_ANGELES = [
+  'BEGIN:VTIMEZONE',
+  'TZID:America/Los_Angeles',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0800',
+  'TZOFFSETTO:-0700',
+  'TZNAME:PDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'TZNAME:PST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const TIME_ZONES = { 'America/Los_Angeles': VTIMEZONE_LOS_ANGELES };
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Splits a content line into 75-octet chunks without cutting a UTF-8 sequence.
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length ? 74 : 75;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatDateTime(date, time) {
+  return `${formatDate(date)}T${time.replace(/:/g, '')}00`;
+}
+
+function formatUtc(instant) {
+  return instant
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+function addDays(date, days) {
+  const next = new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000);
+  return next.toISOString().slice(0, 10);
+}
+
+// entry: { uid, stamp (Date), sequence?, summary, description?, location?, geo?: { lat, lng },
+// url?, categories?, start: { date, time?, timeZone? }, duration? } -- a start without `time` is
+// an all-day entry. `sequence` (default 0) must grow whenever the entry changes.
+function renderEvent(entry) {
+  const { start } = entry;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatUtc(entry.stamp)}`,
+    `SEQUENCE:${entry.sequence || 0}`
+  ];
+  if (start.time) {
+    lines.push(`DTSTART;TZID=${start.timeZone}:${formatDateTime(start.date, start.time)}`);
+    if (entry.duration) lines.push(`DURATION:${entry.duration}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(start.date, 1))}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+  lines.push(`SUMMARY:${escapeText(entry.summary)}`);
+  if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.geo) lines.push(`GEO:${entry.geo.lat};${entry.geo.lng}`);
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.categories && entry.categories.length) {
+    lines.push(`CATEGORIES:${entry.categories.map(escapeText).join(',')}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+function renderCalendar({ name, description, timeZones = [], entries }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    ...(timeZones.length ? [`X-WR-TIMEZONE:${timeZones[0]}`] : []),
+    ...timeZones.flatMap((timeZone) => TIME_ZONES[timeZone]),
+    ...entries.flatMap(renderEvent),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  renderCalendar
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+// Immutability rules of docs/immutability.md, checked between two snapshots of the plan data
+// (usually a git base ref and the working tree):
+//
+// - a frozen entity must not be deleted, and no field but `status` and `updatedAt` may change.
+//   Seasons, blocks and weeks are frozen when their base status is active or archived, along
+//   with the blocks, weeks and workouts they reference: v2 ids (season.blocks, block.weeks,
+//   week.workouts) and the `workoutId@vN` pins of seasons.master.json. Workouts are only frozen
+//   through such a reference: a published library workout may be edited in place until a plan
+//   uses it (docs/workout-versioning.md)
+// - status only moves forward: draft -> active -> archived; changing it to anything else (or
+//   removing it) is a forbidden status change
+//
+// This repo calls the docs' `active` status `published`; both count as active.
+
+const PLAN_DIRS = [
+  { kind: 'season', dir: 'seasons', refs: { field: 'blocks', kind: 'block' } },
+  { kind: 'block', dir: 'blocks', refs: { field: 'weeks', kind: 'week' } },
+  { kind: 'week', dir: 'weeks', refs: { field: 'workouts', kind: 'workout' } },
+  { kind: 'workout', dir: 'workouts', refs: null }
+];
+const SEASONS_MASTER = 'seasons/seasons.master.json';
+const WORKOUTS_MASTER = 'workouts/workouts.master.json';
+
+const LIFECYCLE = { draft: 'draft', active: 'active', published: 'active', archived: 'archived' };
+const NEXT_STATES = { draft: ['active'], active: ['archived'], archived: [] };
+const MUTABLE_FIELDS = ['status', 'updatedAt'];
+const PLAN_KINDS = ['season', 'block', 'week'];
+
+function parseJson(raw) {
+  try {
+    return JSON.parse(raw.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Reads the plan entities of one snapshot. `source` lists the file names of a directory
+// (`list(dir)`) and reads a file by its repo-relative path (`read(relPath)`, null when missing).
+// Returns a Map of entity key to { key, kind, id, file, data, refs }, where `refs` holds the
+// keys of the entities it references.
+function collectPlanEntities(source) {
+  const entities = new Map();
+  for (const { kind, dir, refs } of PLAN_DIRS) {
+    for (const name of source.list(dir)) {
+      if (!name.toLowerCase().endsWith('.json')) continue;
+      const file = `${dir}/${name}`;
+      const data = parseJson(source.read(file) || '');
+      if (!isObject(data) || typeof data.id !== 'string') continue;
+      const refKeys = refs && Array.isArray(data[refs.field]) ? data[refs.field] : [];
+      entities.set(`${kind}:${data.id}`, {
+        key: `${kind}:${data.id}`,
+        kind,
+        id: data.id,
+        file,
+        data,
+        refs: refKeys.map((id) => `${refs.kind}:${id}`)
+      });
+    }
+  }
+
+  const workouts = parseJson(source.read(WORKOUTS_MASTER) || '');
+  for (const workout of (isObject(workouts) && workouts.workouts) || []) {
+    if (!isObject(workout)) continue;
+    const id = `${workout.workoutId}@v${workout.version}`;
+    entities.set(`workout version:${id}`, {
+      key: `workout version:${id}`,
+      kind: 'workout version',
+      id,
+      file: WORKOUTS_MASTER,
+      data: workout,
+      refs: []
+    });
+  }
+
+  const seasons = parseJson(source.read(SEASONS_MASTER) || '');
+  for (const season of (isObject(seasons) && seasons.seasons) || []) {
+    if (!isObject(season)) continue;
+    const pins = (season.blocks || [])
+      .flatMap((block) => block.weeks || [])
+      .flatMap((week) => Object.values(week.days || {}))
+      .flatMap((day) => (day && day.workoutIds) || [])
+      .filter((ref) => String(ref).includes('@'));
+    entities.set(`master season:${season.seasonId}`, {
+      key: `master season:${season.seasonId}`,
+      kind: 'season',
+      id: season.seasonId,
+      file: SEASONS_MASTER,
+      data: season,
+      refs: Array.from(new Set(pins)).map((ref) => `workout version:${ref}`)
+    });
+  }
+  return entities;
+}
+
+// Every frozen entity key of the base snapshot, mapped to why it is frozen.
+function frozenEntities(entities) {
+  const frozen = new Map();
+  for (const entity of entities.values()) {
+    const state = LIFECYCLE[entity.data.status];
+    if (!PLAN_KINDS.includes(entity.kind) || (state !== 'active' && state !== 'archived')) continue;
+    frozen.set(entity.key, entity.data.status);
+  }
+  const pending = Array.from(frozen.keys());
+  while (pending.length) {
+    const entity = entities.get(pending.shift());
+    for (const ref of entity.refs) {
+      if (frozen.has(ref) || !entities.has(ref)) continue;
+      frozen.set(ref, `referenced by ${entity.kind} ${entity.id}`);
+      pending.push(ref);
+    }
+  }
+  return frozen;
+}
+
+function fieldPath(parent, key, isIndex) {
+  if (isIndex) return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+// The changed leaf fields between two values, as { field, from, to } with `from` or `to`
+// undefined for added and removed fields.
+function fieldChanges(before, after, path = '') {
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  if (!bothArrays && !(isObject(before) && isObject(after))) {
+    return JSON.stringify(before) === JSON.stringify(after)
+      ? []
+      : [{ field: path, from: before, to: after }];
+  }
+  const keys = bothArrays
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+    : Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  return keys.flatMap((key) =>
+    fieldChanges(before[key], after[key], fieldPath(path, key, bothArrays))
+  );
+}
+
+// Returns the violations of the head snapshot against the base snapshot (both from
+// collectPlanEntities): { kind, id, file, reason, change: 'deleted' | 'status' | 'field',
+// field, from, to }.
+function checkImmutability(base, head) {
+  const violations = [];
+  const frozen = frozenEntities(base);
+  for (const entity of base.values()) {
+    const { kind, id, file } = entity;
+    const reason = frozen.get(entity.key) || entity.data.status;
+    const next = head.get(entity.key);
+    if (!next) {
+      if (frozen.has(entity.key)) violations.push({ kind, id, file, reason, change: 'deleted' });
+      continue;
+    }
+    const from = LIFECYCLE[entity.data.status];
+    const to = LIFECYCLE[next.data.status];
+    // A status outside the lifecycle (unknown or removed) is never a valid move.
+    const leaves = !to && next.data.status !== entity.data.status;
+    if (leaves || (from && to && from !== to && !NEXT_STATES[from].includes(to))) {
+      violations.push({
+        kind,
+        id,
+        file: next.file,
+        reason,
+        change: 'status',
+        field: 'status',
+        from: entity.data.status,
+        to: next.data.status
+      });
+    }
+    if (!frozen.has(entity.key)) continue;
+    for (const change of fieldChanges(entity.data, next.data)) {
+      if (MUTABLE_FIELDS.includes(change.field)) continue;
+      violations.push({ kind, id, file: next.file, reason, change: 'field', ...change });
+    }
+  }
+  return violations;
+}
+
+function describeValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+function formatViolation({ kind, id, file, reason, change, field, from, to }) {
+  const entity = `${kind} ${id} (${file}, ${reason})`;
+  if (change === 'deleted') return `${entity} was deleted`;
+  if (change === 'status') {
+    return `${entity} cannot change status from ${from} to ${to === undefined ? '(none)' : to}`;
+  }
+  return `${entity} ${field} changed from ${describeValue(from)} to ${describeValue(to)}`;
+}
+
+module.exports = {
+  checkImmutability,
+  collectPlanEntities,
+  formatViolation
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+// Markdown subset used by content bodies, rendered once at compile time so every viewer shows
+// the same HTML: ATX headings, paragraphs, bullet and numbered lists, blockquotes, fenced code,
+// horizontal rules, and inline code, links, bold and italics. Raw HTML is never passed through:
+// all text is escaped, and links keep only http(s), mailto, relative and #fragment targets.
+
+const WORDS_PER_MINUTE = 200;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function safeHref(url) {
+  const trimmed = url.trim();
+  if (/^(https?:|mailto:)/i.test(trimmed) || /^[/#.]/.test(trimmed)) return trimmed;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) return null;
+  return trimmed;
+}
+
+function headingId(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'section'
+  );
+}
+
+// Inline markup -> HTML. Code spans are cut out first so their content stays literal.
+function renderInline(text) {
+  const codeSpans = [];
+  const withoutCode = text.replace(/\u0000/g, '').replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+  return escapeHtml(withoutCode)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = safeHref(url.replace(/&amp;/g, '&'));
+      return href === null ? label : `<a href="${escapeHtml(href)}">${label}</a>`;
+    })
+    .replace(
+      /\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g,
+      (match, a, b) => `<strong>${a || b}</strong>`
+    )
+    .replace(/\*(\S(?:.*?\S)?)\*|(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, (match, a, prefix, b) =>
+      a ? `<em>${a}</em>` : `${prefix}<em>${b}</em>`
+    )
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+// Plain text of inline markup, for outlines and word counts.
+function plainInline(text) {
+  return text
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*|__|\*|(^|\W)_|_(?=\W|$)/g, '$1')
+    .trim();
+}
+
+const BLOCK_PATTERNS = {
+  fence: /^```/,
+  heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^(?:-{3,}|\*{3,}|_{3,})\s*$/,
+  bullet: /^\s*[-*+]\s+(.*)$/,
+  ordered: /^\s*(\d+)[.)]\s+(.*)$/,
+  quote: /^>\s?(.*)$/
+};
+
+function startsBlock(line) {
+  return Object.values(BLOCK_PATTERNS).some((pattern) => pattern.test(line));
+}
+
+// Returns { html, outline, wordCount, readingTimeMinutes }. Heading anchors are slugs of the
+// heading text, suffixed -2, -3, ... when a heading repeats.
+function renderMarkdown(source) {
+  const lines = String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  const html = [];
+  const outline = [];
+  const plain = [];
+  const usedIds = new Map();
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    if (BLOCK_PATTERNS.fence.test(line)) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !BLOCK_PATTERNS.fence.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      plain.push(code.join(' '));
+      continue;
+    }
+
+    const heading = line.match(BLOCK_PATTERNS.heading);
+    if (heading) {
+      const level = heading[1].length;
+      const text = plainInline(heading[2]);
+      const base = headingId(text);
+      const seen = usedIds.get(base) || 0;
+      usedIds.set(base, seen + 1);
+      const id = seen ? `${base}-${seen + 1}` : base;
+      outline.push({ level, text, id });
+      html.push(`<h${level} id="${id}">${renderInline(heading[2])}</h${level}>`);
+      plain.push(text);
+      index += 1;
+      continue;
+    }
+
+    if (BLOCK_PATTERNS.rule.test(line)) {
+      html.push('<hr>');
+      index += 1;
+      continue;
+    }
+
+    const listType = BLOCK_PATTERNS.bullet.test(line)
+      ? 'ul'
+      : BLOCK_PATTERNS.ordered.test(line)
+        ? 'ol'
+        : null;
+    if (listType) {
+      const pattern = listType === 'ul' ? BLOCK_PATTERNS.bullet : BLOCK_PATTERNS.ordered;
+      const items = [];
+      const start = listType === 'ol' ? Number(line.match(pattern)[1]) : 1;
+      while (index < lines.length && lines[index].trim()) {
+        const match = lines[index].match(pattern);
+        if (match) {
+          items.push(listType === 'ul' ? match[1] : match[2]);
+        } else if (startsBlock(lines[index])) {
+          break;
+        } else {
+          items[items.length - 1] += `\n${lines[index].trim()}`;
+        }
+        index += 1;
+      }
+      const open = listType === 'ol' && start !== 1 ? `<ol start="${start}">` : `<${listType}>`;
+      html.push(
+        `${open}\n${items.map((item) => `<li>${renderInline(item)}</li>`).join('\n')}\n</${listType}>`
+      );
+      plain.push(...items.map(plainInline));
+      continue;
+    }
+
+    if (BLOCK_PATTERNS.quote.test(line)) {
+      const quoted = [];
+      while (index < lines.length && BLOCK_PATTERNS.quote.test(lines[index])) {
+        quoted.push(lines[index].match(BLOCK_PATTERNS.quote)[1]);
+        index += 1;
+      }
+      const inner = renderMarkdown(quoted.join('\n'));
+      html.push(`<blockquote>\n${inner.html}\n</blockquote>`);
+      plain.push(quoted.map(plainInline).join(' '));
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    index += 1;
+    while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+      paragraph.push(lines[index].trim());
+      index += 1;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    plain.push(plainInline(paragraph.join(' ')));
+  }
+
+  const wordCount = (plain.join(' ').match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || []).length;
+  return {
+    html: html.join('\n'),
+    outline,
+    wordCount,
+    readingTimeMinutes: wordCount ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0
+  };
+}
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  escapeHtml,
+  renderMarkdown
+};
@@ -0,0 +1,295 @@
+'use strict';
+
+const { DAY_KEYS } = require('../../src/selectors/calendar.cjs');
+
+// Converts the two older shapes of the training plan into v2 per-entity entities (seasons/,
+// blocks/, weeks/; see schemas/season.schema.json and friends):
+//
+// - the legacy calendar spine: data/seasons.json, data/blocks.json and data/weeks.json, linked
+//   by `weekIds`, with one `workoutId@vN` per day in `workouts`
+// - seasons/seasons.master.json: seasons with their blocks and weeks (and week signals) nested
+//   inline, with `workoutIds` per day
+//
+// Ids are kept, as are `eventIds`/`eventRoles` on weeks. Workout references lose their `@vN`
+// pin (v2 references are unversioned) and are dropped when the workout is not in workouts/; a
+// week left without workouts, a block without weeks and a season without blocks cannot be
+// schema-valid and are skipped. Signals outside the schema's values are mapped (`very-high`
+// to `high`) or, when missing, default to `med`. Every such change is a note in the report.
+//
+// An entity that already has a v2 file is never rewritten: it is `migrated` when the file holds
+// the converted content (timestamps aside) and a `conflict` otherwise. Running the migration
+// again therefore writes nothing and yields the same report.
+
+const SIGNALS = {
+  stress: ['low', 'med', 'med-high', 'high'],
+  volume: ['low', 'low-med', 'med', 'med-high', 'high'],
+  intensity: ['low', 'med', 'high']
+};
+const SIGNAL_ALIASES = { 'very-low': 'low', 'very-high': 'high' };
+const DEFAULT_SIGNAL = 'med';
+const STATUSES = ['draft', 'published'];
+
+const KIND_DIRS = { season: 'seasons', block: 'blocks', week: 'weeks' };
+const REF_FIELDS = { season: 'blocks', block: 'weeks', week: 'workouts' };
+const CHILD_KINDS = { season: 'block', block: 'week' };
+const LEGACY_SOURCES = {
+  seasons: 'data/seasons.json',
+  blocks: 'data/blocks.json',
+  weeks: 'data/weeks.json'
+};
+const MASTER_SOURCE = 'seasons/seasons.master.json';
+
+function stripPin(ref) {
+  return String(ref).replace(/@v\d+$/, '');
+}
+
+function signalsOf(week, notes) {
+  const signals = {};
+  for (const [name, values] of Object.entries(SIGNALS)) {
+    const value = week[name];
+    if (values.includes(value)) {
+      signals[name] = value;
+    } else if (SIGNAL_ALIASES[value]) {
+      signals[name] = SIGNAL_ALIASES[value];
+      notes.push(`${name} "${value}" mapped to "${signals[name]}"`);
+    } else {
+      signals[name] = DEFAULT_SIGNAL;
+      notes.push(
+        value == null
+          ? `${name} missing, defaulted to "${DEFAULT_SIGNAL}"`
+          : `${name} "${value}" unknown, defaulted to "${DEFAULT_SIGNAL}"`
+      );
+    }
+  }
+  return signals;
+}
+
+function statusOf(status, notes) {
+  if (status == null) return 'draft';
+  if (STATUSES.includes(status)) return status;
+  notes.push(`status "${status}" migrated as "draft"`);
+  return 'draft';
+}
+
+function eventLinks(week) {
+  return {
+    ...(Array.isArray(week.eventIds) && week.eventIds.length ? { eventIds: week.eventIds } : {}),
+    ...(week.eventRoles && Object.keys(week.eventRoles).length
+      ? { eventRoles: week.eventRoles }
+      : {})
+  };
+}
+
+// Candidates are { kind, id, source, head, body, tail, refs, notes }: the v2 fields before the
+// timestamps (`head`), between them and the references (`body`) and after those (`tail`), and
+// the child ids (or workout refs) still to resolve.
+function weekCandidate(week, { id, source, status, workoutRefs }) {
+  const notes = [];
+  return {
+    kind: 'week',
+    id,
+    source,
+    head: { id, title: week.name || week.title || id, status: statusOf(status, notes) },
+    body: { focus: week.focus == null ? null : week.focus, ...signalsOf(week, notes) },
+    refs: workoutRefs,
+    tail: eventLinks(week),
+    notes
+  };
+}
+
+function fromMaster(master) {
+  const candidates = [];
+  for (const season of master.seasons || []) {
+    const seasonNotes = [];
+    const status = statusOf(season.status, seasonNotes);
+    for (const block of season.blocks || []) {
+      for (const week of block.weeks || []) {
+        const days = week.days || {};
+        candidates.push(
+          weekCandidate(week, {
+            id: week.weekId,
+            source: MASTER_SOURCE,
+            status: season.status,
+            workoutRefs: DAY_KEYS.flatMap((day) => (days[day] && days[day].workoutIds) || [])
+          })
+        );
+      }
+      candidates.push({
+        kind: 'block',
+        id: block.blockId,
+        source: MASTER_SOURCE,
+        head: { id: block.blockId, title: block.name || block.blockId, status },
+        body: { tags: block.tags || [] },
+        refs: (block.weeks || []).map((week) => week.weekId),
+        notes: []
+      });
+    }
+    candidates.push({
+      kind: 'season',
+      id: season.seasonId,
+      source: MASTER_SOURCE,
+      head: { id: season.seasonId, title: season.name || season.seasonId, status },
+      body: {},
+      tail: season.startDate ? { startDate: season.startDate } : {},
+      refs: (season.blocks || []).map((block) => block.blockId),
+      notes: seasonNotes
+    });
+  }
+  return candidates;
+}
+
+function fromLegacy({ seasons = [], blocks = [], weeks = [] }) {
+  const candidates = weeks.map((week) =>
+    weekCandidate(week, {
+      id: week.weekId || week.id,
+      source: LEGACY_SOURCES.weeks,
+      status: week.status,
+      workoutRefs: DAY_KEYS.map((day) => (week.workouts || {})[day]).filter(Boolean)
+    })
+  );
+  for (const block of blocks) {
+    const id = block.blockId || block.id;
+    const notes = [];
+    candidates.push({
+      kind: 'block',
+      id,
+      source: LEGACY_SOURCES.blocks,
+      head: {
+        id,
+        title: block.name || id,
+        ...(block.intent ? { description: block.intent } : {}),
+        status: statusOf(block.status, notes)
+      },
+      body: { tags: block.tags || [] },
+      refs: block.weekIds || [],
+      notes
+    });
+  }
+  for (const season of seasons) {
+    const id = season.seasonId || season.id;
+    const weekIds = season.weekIds || [];
+    const position = (block) =>
+      Math.min(
+        ...(block.weekIds || []).map((weekId) => weekIds.indexOf(weekId)).filter((i) => i >= 0)
+      );
+    const seasonBlocks = blocks
+      .filter((block) => Number.isFinite(position(block)))
+      .sort((a, b) => position(a) - position(b));
+    const notes = [];
+    candidates.push({
+      kind: 'season',
+      id,
+      source: LEGACY_SOURCES.seasons,
+      head: { id, title: season.name || id, status: statusOf(season.status, notes) },
+      body: {},
+      tail: season.startDate ? { startDate: season.startDate } : {},
+      refs: seasonBlocks.map((block) => block.blockId || block.id),
+      notes
+    });
+  }
+  return candidates;
+}
+
+function sortedJson(value) {
+  if (Array.isArray(value)) return `[${value.map(sortedJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${sortedJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The top-level fields in which two versions of an entity differ, timestamps aside.
+function differingFields(a, b) {
+  return Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .filter((field) => field !== 'createdAt' && field !== 'updatedAt')
+    .filter((field) => sortedJson(a[field]) !== sortedJson(b[field]));
+}
+
+// `legacy` holds the parsed data/ arrays ({ seasons, blocks, weeks }) and `master` the parsed
+// seasons.master.json, either may be null. `existing` maps each kind (season, block, week) to a
+// Map of id to { file, data } of the v2 files on disk, and `workoutIds` is the Set of v2 workout
+// ids. Returns { writes, report }: the new v2 files ({ file, data }) and the mapping report.
+function migrateCanonical({ legacy, master }, { existing, workoutIds, now = new Date() }) {
+  const stamp = now.toISOString();
+  const candidates = [...(legacy ? fromLegacy(legacy) : []), ...(master ? fromMaster(master) : [])];
+  const writes = [];
+  const entries = [];
+  const available = { season: new Set(), block: new Set(), week: new Set() };
+  const seen = new Set();
+
+  // Weeks first, so that blocks and then seasons only reference what exists in v2 afterwards.
+  for (const kind of ['week', 'block', 'season']) {
+    for (const candidate of candidates.filter((entry) => entry.kind === kind)) {
+      const { id, source, notes } = candidate;
+      const entry = { kind, id, source };
+      entries.push(entry);
+      if (seen.has(`${kind}:${id}`)) {
+        Object.assign(entry, {
+          result: 'skipped',
+          notes: [...notes, `${kind} ${id} is also in an earlier source`]
+        });
+        continue;
+      }
+      seen.add(`${kind}:${id}`);
+
+      const refs =
+        kind === 'week'
+          ? candidate.refs.map(stripPin).filter((ref) => {
+              if (workoutIds.has(ref)) return true;
+              const note = `workout ${ref} is not in workouts/, dropped`;
+              if (!notes.includes(note)) notes.push(note);
+              return false;
+            })
+          : candidate.refs.filter((ref) => {
+              if (available[CHILD_KINDS[kind]].has(ref)) return true;
+              notes.push(`${CHILD_KINDS[kind]} ${ref} was not migrated, dropped`);
+              return false;
+            });
+      const refField = REF_FIELDS[kind];
+      const content = {
+        ...candidate.head,
+        createdAt: stamp,
+        updatedAt: stamp,
+        ...candidate.body,
+        [refField]: refs,
+        ...(candidate.tail || {})
+      };
+
+      const current = existing[kind].get(id);
+      if (current) {
+        const fields = differingFields(current.data, content);
+        available[kind].add(id);
+        Object.assign(entry, {
+          file: current.file,
+          result: fields.length ? 'conflict' : 'migrated'
+        });
+        if (fields.length) notes.push(`existing v2 file differs in ${fields.join(', ')}, kept`);
+      } else if (!refs.length) {
+        Object.assign(entry, {
+          result: 'skipped',
+          notes: [...notes, `no ${refField} left; v2 ${kind}s need at least one`]
+        });
+        continue;
+      } else {
+        const file = `${KIND_DIRS[kind]}/${kind}.${id}.json`;
+        available[kind].add(id);
+        writes.push({ file, data: content });
+        Object.assign(entry, { file, result: 'migrated' });
+      }
+      if (notes.length && !entry.notes) entry.notes = notes;
+    }
+  }
+
+  const sources = [
+    ...(legacy ? Object.values(LEGACY_SOURCES) : []),
+    ...(master ? [MASTER_SOURCE] : [])
+  ];
+  const counts = { migrated: 0, conflict: 0, skipped: 0 };
+  for (const entry of entries) counts[entry.result] += 1;
+  return { writes, report: { sources, counts, entities: entries } };
+}
+
+module.exports = {
+  migrateCanonical
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+// Resolves a season of the v2 canonical training system (seasons/, blocks/, weeks/,
+// workouts/: one file per entity, linked by id) into one self-contained plan: the season's
+// blocks in order, each with its weeks, each week with its signals, linked events and fully
+// embedded workouts. Weeks are dated from the season's startDate (when set), seven days
+// apart in block order; a week keeps its number and dates even when an earlier week is left
+// out.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The entity's content under `<kind>Id`, without the canonical bookkeeping fields and the
+// `omit`ted ones (references that the plan replaces with resolved entities).
+function embed(idField, entity, omit = []) {
+  const content = { [idField]: entity.id, ...entity };
+  for (const field of ['id', 'status', 'createdAt', 'file', ...omit]) delete content[field];
+  return content;
+}
+
+// `entities` holds Maps by id of the canonical blocks, weeks and workouts, and `events` a Map
+// of event summaries by event id. Returns { plan, problems, files }: `problems` lists
+// references that are missing ({ code: 'missing' }) or point at drafts ({ code: 'draft' }),
+// all left out of the plan, and `files` the canonical files the plan was built from.
+function resolvePlan(season, { blocks, weeks, workouts, events }) {
+  const problems = [];
+  const files = new Set(season.file ? [season.file] : []);
+
+  function resolve(kind, map, id, from) {
+    const entity = map.get(id);
+    if (!entity || entity.status === 'draft') {
+      problems.push({ code: entity ? 'draft' : 'missing', kind, id, from });
+      return null;
+    }
+    if (entity.file) files.add(entity.file);
+    return entity;
+  }
+
+  let weekIndex = 0;
+  const planBlocks = [];
+  for (const blockId of season.blocks) {
+    const block = resolve('block', blocks, blockId, `season ${season.id}`);
+    if (!block) continue;
+    const planWeeks = [];
+    for (const weekId of block.weeks) {
+      const index = weekIndex;
+      weekIndex += 1;
+      const week = resolve('week', weeks, weekId, `block ${block.id}`);
+      if (!week) continue;
+      const startDate = season.startDate ? addDays(season.startDate, index * 7) : null;
+      const roles = week.eventRoles || {};
+      planWeeks.push({
+        ...embed('weekId', week, ['workouts', 'eventIds', 'eventRoles']),
+        weekNumber: index + 1,
+        startDate,
+        endDate: startDate ? addDays(startDate, 6) : null,
+        events: (week.eventIds || []).map((eventId) => ({
+          eventId,
+          role: roles[eventId] || null,
+          ...(events.get(eventId) || { eventName: null, startDate: null, startsAt: null })
+        })),
+        workouts: week.workouts
+          .map((workoutId) => resolve('workout', workouts, workoutId, `week ${week.id}`))
+          .filter(Boolean)
+          .map((workout) => embed('workoutId', workout))
+      });
+    }
+    planBlocks.push({ ...embed('blockId', block, ['weeks']), weeks: planWeeks });
+  }
+
+  const plan = {
+    ...embed('seasonId', season, ['blocks', 'startDate']),
+    startDate: season.startDate || null,
+    endDate: season.startDate && weekIndex ? addDays(season.startDate, weekIndex * 7 - 1) : null,
+    weekCount: weekIndex,
+    blocks: planBlocks
+  };
+  return { plan, problems, files: Array.from(files).sort() };
+}
+
+module.exports = {
+  resolvePlan
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const { parseWorkoutRef } = require('../../src/selectors/calendar.cjs');
+
+// Copy-on-publish (docs/workout-versioning.md) for seasons.master.json and
+// workouts.master.json. Publishing a draft season pins every workout its weeks reference to
+// `workoutId@vN`, so later library edits never reach the published plan:
+//
+// - an unpinned reference is pinned to the workout's latest published version; a reference
+//   that is already pinned is kept when that version is published
+// - when that version was edited after it was published (`updatedAt` later than
+//   `publishedAt`), the library copy has drifted from what was published: its current content
+//   is frozen as a new version, which the season pins instead
+// - the season becomes `published`, with a `startDate` and `publishedAt`
+//
+// Nothing is published when the season is not a draft or has no start date, or when a
+// reference is missing, archived or still a draft; every such problem is reported at once.
+
+function isIsoDate(value) {
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+  );
+}
+
+function hasDrifted(workout) {
+  return Boolean(workout.publishedAt) && workout.updatedAt > workout.publishedAt;
+}
+
+// Returns { seasons, workouts, pins, created } without modifying the inputs: the new master
+// contents, every reference that was pinned ({ weekId, day, from, to }) and the workout
+// versions created for drifted library copies. Throws when the season cannot be published.
+function publishSeason({ seasons, workouts }, seasonId, { now = new Date(), startDate } = {}) {
+  const season = seasons.find((entry) => entry.seasonId === seasonId);
+  if (!season) throw new Error(`Season ${seasonId} is not in seasons.master.json`);
+
+  const problems = [];
+  if (season.status !== 'draft') problems.push(`season is ${season.status}, not draft`);
+  const seasonStart = startDate || season.startDate;
+  if (!seasonStart) problems.push('season has no startDate');
+  else if (!isIsoDate(seasonStart)) problems.push(`startDate "${seasonStart}" is not YYYY-MM-DD`);
+
+  const stamp = now.toISOString();
+  const nextWorkouts = workouts.slice();
+  const created = [];
+  const pinnedRefs = new Map();
+
+  function resolveRef(ref) {
+    if (ref.includes('@')) {
+      const { workoutId, version } = parseWorkoutRef(ref);
+      const workout = workouts.find(
+        (entry) => entry.workoutId === workoutId && entry.version === version
+      );
+      if (!workout) throw new Error(`${ref} does not exist`);
+      if (workout.status !== 'published') throw new Error(`${ref} is ${workout.status}`);
+      return ref;
+    }
+    const versions = workouts
+      .filter((entry) => entry.workoutId === ref)
+      .sort((a, b) => b.version - a.version);
+    if (!versions.length) throw new Error(`workout ${ref} does not exist`);
+    if (versions[0].status === 'draft') {
+      throw new Error(`workout ${ref} is still a draft (v${versions[0].version})`);
+    }
+    const published = versions.find((entry) => entry.status === 'published');
+    if (!published) throw new Error(`workout ${ref} has no published version`);
+    if (!hasDrifted(published)) return `${ref}@v${published.version}`;
+    const version = versions[0].version + 1;
+    nextWorkouts.push({ ...published, version, updatedAt: stamp, publishedAt: stamp });
+    created.push(`${ref}@v${version}`);
+    return `${ref}@v${version}`;
+  }
+
+  function pin(ref, weekId, day) {
+    if (!pinnedRefs.has(ref)) {
+      try {
+        pinnedRefs.set(ref, resolveRef(ref));
+      } catch (error) {
+        problems.push(`week ${weekId} ${day}: ${error.message}`);
+        pinnedRefs.set(ref, null);
+      }
+    }
+    return pinnedRefs.get(ref) || ref;
+  }
+
+  const pins = [];
+  const blocks = (season.blocks || []).map((block) => ({
+    ...block,
+    weeks: (block.weeks || []).map((week) => {
+      if (!week.days) return week;
+      const days = Object.fromEntries(
+        Object.entries(week.days).map(([day, entry]) => {
+          if (!entry || !Array.isArray(entry.workoutIds)) return [day, entry];
+          const workoutIds = entry.workoutIds.map((ref) => {
+            const pinned = pin(ref, week.weekId, day);
+            if (pinned !== ref) pins.push({ weekId: week.weekId, day, from: ref, to: pinned });
+            return pinned;
+          });
+          return [day, { ...entry, workoutIds }];
+        })
+      );
+      return { ...week, days };
+    })
+  }));
+
+  if (problems.length) {
+    const lines = Array.from(new Set(problems)).map((problem) => `  ${problem}`);
+    throw new Error(`Season ${seasonId} cannot be published:\n${lines.join('\n')}`);
+  }
+
+  const published = {
+    ...season,
+    status: 'published',
+    startDate: seasonStart,
+    blocks,
+    publishedAt: stamp
+  };
+  return {
+    seasons: seasons.map((entry) => (entry === season ? published : entry)),
+    workouts: nextWorkouts,
+    pins,
+    created
+  };
+}
+
+module.exports = {
+  publishSeason
+};
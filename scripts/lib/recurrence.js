@@ -0,0 +1,136 @@
+'use strict';
+
+const { DAY_KEYS } = require('../../src/selectors/calendar.cjs');
+const { parseEventDate } = require('./eventTime');
+
+// Recurring events in events.master.json. A series is one canonical event whose `event_date`
+// starts the series and whose `recurring` rule says how it repeats:
+//
+//   { "frequency": "weekly", "interval": 1, "weekdays": ["wed"], "until": "2026-06-24",
+//     "exceptions": ["2026-04-01"],
+//     "overrides": { "2026-03-04": { "route_group_ids": ["SUC-037"] } } }
+//
+// - weekly: on `weekdays` (default: the weekday of event_date) of every `interval`-th week,
+//   counted from the week (Monday to Sunday) of event_date
+// - monthly: every `interval`-th month on `monthDay` (default: the day of event_date; months
+//   without that day are skipped), or on the `weekOfMonth`-th (1-5, -1 for the last) of each
+//   of `weekdays`
+// - `until` is the last possible date (inclusive); `exceptions` are dates without a run
+// - `overrides` replace fields of single occurrences, e.g. their route groups or description
+//
+// Every occurrence is a plain event with the derived id `<event_id>-<YYYY-MM-DD>`, its ISO
+// date as `event_date` and `series_id` pointing back at the series.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDays(date) {
+  return Date.parse(`${date}T00:00:00Z`) / DAY_MS;
+}
+
+function fromDays(days) {
+  return new Date(days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return DAY_KEYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
+
+function monthIndex(date) {
+  return Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7)) - 1;
+}
+
+function parseRuleDate(value, field) {
+  const date = parseEventDate(value);
+  if (!date) throw new Error(`${field} "${value}" is not a date`);
+  return date;
+}
+
+// Validates a `recurring` rule against the series start and fills in its defaults.
+function normalizeRule(rule, start) {
+  if (!rule || typeof rule !== 'object') throw new Error('recurring must be an object');
+  if (!['weekly', 'monthly'].includes(rule.frequency)) {
+    throw new Error(`frequency "${rule.frequency}" is not weekly or monthly`);
+  }
+  const interval = rule.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`interval ${interval} is not a positive integer`);
+  }
+  const weekdays = rule.weekdays ?? [weekdayOf(start)];
+  const unknown = weekdays.filter((day) => !DAY_KEYS.includes(day));
+  if (!weekdays.length || unknown.length) {
+    throw new Error(`weekdays must be some of ${DAY_KEYS.join(', ')}`);
+  }
+  if (rule.frequency === 'monthly' && rule.weekOfMonth != null && rule.monthDay != null) {
+    throw new Error('monthDay and weekOfMonth cannot be combined');
+  }
+  const until = rule.until == null ? null : parseRuleDate(rule.until, 'until');
+  if (until && until < start) throw new Error(`until ${until} is before event_date ${start}`);
+  const overrides = {};
+  for (const [key, fields] of Object.entries(rule.overrides || {})) {
+    overrides[parseRuleDate(key, 'override')] = fields;
+  }
+  return {
+    frequency: rule.frequency,
+    interval,
+    weekdays,
+    monthDay: rule.monthDay ?? Number(start.slice(8, 10)),
+    weekOfMonth: rule.weekOfMonth ?? null,
+    until,
+    exceptions: new Set((rule.exceptions || []).map((value) => parseRuleDate(value, 'exception'))),
+    overrides
+  };
+}
+
+function matchesRule(rule, start, date) {
+  if (date < start || (rule.until && date > rule.until)) return false;
+  if (rule.frequency === 'weekly') {
+    const startWeek = Math.floor((toDays(start) - DAY_KEYS.indexOf(weekdayOf(start))) / 7);
+    const week = Math.floor((toDays(date) - DAY_KEYS.indexOf(weekdayOf(date))) / 7);
+    return (week - startWeek) % rule.interval === 0 && rule.weekdays.includes(weekdayOf(date));
+  }
+  if ((monthIndex(date) - monthIndex(start)) % rule.interval !== 0) return false;
+  const day = Number(date.slice(8, 10));
+  if (rule.weekOfMonth === null) return day === rule.monthDay;
+  if (!rule.weekdays.includes(weekdayOf(date))) return false;
+  if (rule.weekOfMonth === -1) return monthIndex(fromDays(toDays(date) + 7)) !== monthIndex(date);
+  return Math.ceil(day / 7) === rule.weekOfMonth;
+}
+
+// Expands a series into its occurrences from event_date, or the later `from` (an ISO date,
+// e.g. the start of the build's lookback), through `through` (the end of the build horizon)
+// or the rule's `until`, whichever comes first. Returns
+// { occurrences, unmatched }, where `unmatched` lists exception and override dates that are
+// not dates of the series. Throws when event_date or the rule is invalid.
+function expandRecurringEvent(event, { from = null, through }) {
+  const seriesId = event.event_id ?? event.eventId ?? event.id;
+  const dateValue = event.event_date ?? event.eventDate;
+  const start = parseEventDate(dateValue);
+  if (!start) throw new Error(`event_date "${dateValue}" is not a date`);
+  const rule = normalizeRule(event.recurring, start);
+  const first = from && from > start ? from : start;
+  const last = rule.until && rule.until < through ? rule.until : through;
+
+  const series = { ...event };
+  delete series.recurring;
+  const occurrences = [];
+  for (let days = toDays(first); days <= toDays(last); days += 1) {
+    const date = fromDays(days);
+    if (!matchesRule(rule, start, date) || rule.exceptions.has(date)) continue;
+    occurrences.push({
+      ...series,
+      ...(rule.overrides[date] || {}),
+      event_id: `${seriesId}-${date}`,
+      event_date: date,
+      series_id: seriesId
+    });
+  }
+
+  const unmatched = [...rule.exceptions, ...Object.keys(rule.overrides)]
+    .filter((date) => !matchesRule(rule, start, date))
+    .sort();
+  return { occurrences, unmatched };
+}
+
+module.exports = {
+  expandRecurringEvent
+};
@@ -0,0 +1,226 @@
+'use strict';
+
+const { renderMarkdown } = require('./markdown');
+
+// Consent-aware redaction of athletes mentioned in public output. roster/roster.json is
+// either the schema shape ({ members: [...] } with snake_case consent flags) or the older
+// bare array with camelCase flags; both are normalized to camelCase here. A flag that is
+// missing or not `true` counts as no consent, and so does a mention that cannot be resolved
+// against the roster.
+
+const CONSENT_FLAGS = ['publicName', 'publicStory', 'publicPhotos', 'publicMetrics'];
+const ANONYMOUS_PERSON = 'SUC crew member';
+const ANONYMOUS_ATHLETE_ID = 'anonymous';
+
+function toSnakeCase(flag) {
+  return flag.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`);
+}
+
+function normalizeName(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeRoster(raw) {
+  const members = Array.isArray(raw) ? raw : raw && Array.isArray(raw.members) ? raw.members : [];
+  return members
+    .filter((member) => member && typeof member === 'object')
+    .map((member) => {
+      const consent = member.consent && typeof member.consent === 'object' ? member.consent : {};
+      return {
+        id: String(member.id || '').trim(),
+        name: String(member.name || '').trim(),
+        email: String(member.email || '').trim(),
+        consent: Object.fromEntries(
+          CONSENT_FLAGS.map((flag) => [
+            flag,
+            (consent[flag] ?? consent[toSnakeCase(flag)]) === true
+          ])
+        )
+      };
+    });
+}
+
+function createRoster(raw) {
+  const members = normalizeRoster(raw);
+
+  // An id, email or full name; a bare first name only when exactly one member has it.
+  function resolve(value) {
+    const key = normalizeName(value);
+    if (!key) return null;
+    const exact = members.find((member) =>
+      [member.id, member.email, member.name].some((candidate) => normalizeName(candidate) === key)
+    );
+    if (exact) return exact;
+    const byFirstName = members.filter(
+      (member) => normalizeName(member.name).split(' ')[0] === key
+    );
+    return byFirstName.length === 1 ? byFirstName[0] : null;
+  }
+
+  // Members whose full or first name appears as a whole word in free text.
+  function findMentions(text) {
+    const haystack = normalizeName(text);
+    return members.filter((member) => {
+      const name = normalizeName(member.name);
+      if (!name) return false;
+      return [name, name.split(' ')[0]].some((needle) =>
+        new RegExp(`(^|[^a-z0-9])${escapeRegExp(needle)}($|[^a-z0-9])`).test(haystack)
+      );
+    });
+  }
+
+  // Replaces whole-word mentions of members without publicName consent with the anonymous
+  // label: full names, then first names that no consenting member shares (as in resolve). A
+  // first name followed by a consenting member's surname is left alone.
+  function anonymizeMentions(text) {
+    const names = (list) => list.map((member) => normalizeName(member.name).split(' '));
+    const hidden = names(members.filter((member) => member.name && !member.consent.publicName));
+    const shown = names(members.filter((member) => member.name && member.consent.publicName));
+    const shownFirst = new Set(shown.map((parts) => parts[0]));
+    const shownLast = shown.filter((parts) => parts.length > 1).map((parts) => parts.at(-1));
+    const keepSurname = shownLast.length
+      ? `(?!\\s+(?:${shownLast.map(escapeRegExp).join('|')})(?![a-z0-9]))`
+      : '';
+    const patterns = [
+      ...hidden.map((parts) => `${parts.map(escapeRegExp).join('\\s+')}(?![a-z0-9])`),
+      ...Array.from(new Set(hidden.map((parts) => parts[0])))
+        .filter((first) => !shownFirst.has(first))
+        .map((first) => `${escapeRegExp(first)}(?![a-z0-9])${keepSurname}`)
+    ];
+    return patterns.reduce(
+      (result, pattern) =>
+        result.replace(new RegExp(`(^|[^a-z0-9])${pattern}`, 'gi'), `$1${ANONYMOUS_PERSON}`),
+      String(text)
+    );
+  }
+
+  return { members, resolve, findMentions, anonymizeMentions };
+}
+
+// Field rules referenced from the collection registry (`consent: { field: rule }`). Each
+// returns the redacted item, or null to drop the item, and records what it changed.
+const RULES = {
+  // Shoutouts are free text: one is kept only if it names roster members who all consented
+  // to publicName.
+  shoutouts(item, field, roster, record) {
+    if (!Array.isArray(item[field])) return item;
+    const kept = item[field].filter((entry, index) => {
+      const mentions = roster.findMentions(entry);
+      if (!mentions.length) {
+        record({ field: `${field}[${index}]`, action: 'dropped', reason: 'unresolved' });
+        return false;
+      }
+      if (mentions.some((member) => !member.consent.publicName)) {
+        record({ field: `${field}[${index}]`, action: 'dropped', reason: 'publicName' });
+        return false;
+      }
+      return true;
+    });
+    return { ...item, [field]: kept };
+  },
+
+  // Free text, a string or a list of strings: names of members without publicName consent
+  // are replaced.
+  mentions(item, field, roster, record) {
+    const value = item[field];
+    if (typeof value !== 'string' && !Array.isArray(value)) return item;
+    const redacted = Array.isArray(value)
+      ? value.map((entry) => (typeof entry === 'string' ? roster.anonymizeMentions(entry) : entry))
+      : roster.anonymizeMentions(value);
+    if (JSON.stringify(redacted) === JSON.stringify(value)) return item;
+    record({ field, action: 'replaced', reason: 'publicName' });
+    return { ...item, [field]: redacted };
+  },
+
+  // A markdown body is redacted like free text and bodyHtml, rendered from the unredacted
+  // body, is rendered again with its outline and counts. A name in a link target cannot be
+  // replaced without breaking the link, so such an item is dropped.
+  markdownBody(item, field, roster, record) {
+    if (typeof item[field] !== 'string') return item;
+    const targets = (String(item.bodyHtml || '').match(/href="[^"]*"/g) || []).join(' ');
+    if (roster.findMentions(targets).some((member) => !member.consent.publicName)) {
+      record({ field: 'bodyHtml', action: 'dropped-item', reason: 'publicName' });
+      return null;
+    }
+    const redacted = RULES.mentions(item, field, roster, record);
+    if (redacted === item) return item;
+    const { html, outline, wordCount, readingTimeMinutes } = renderMarkdown(redacted[field]);
+    return { ...redacted, bodyHtml: html, outline, wordCount, readingTimeMinutes };
+  },
+
+  // The subject of a story needs publicStory for the story to be public at all, and
+  // publicName for their name to stay on it.
+  storySubject(item, field, roster, record) {
+    const member = roster.resolve(item[field]);
+    if (!member) {
+      record({ field, action: 'dropped-item', reason: 'unresolved' });
+      return null;
+    }
+    if (!member.consent.publicStory) {
+      record({ field, action: 'dropped-item', reason: 'publicStory' });
+      return null;
+    }
+    if (!member.consent.publicName) {
+      record({ field, action: 'replaced', reason: 'publicName' });
+      return { ...item, [field]: ANONYMOUS_PERSON };
+    }
+    return item;
+  }
+};
+
+function redactItems(items, rules, roster) {
+  const redactions = [];
+  const redacted = [];
+  for (const item of items) {
+    let current = item;
+    for (const [field, ruleName] of Object.entries(rules)) {
+      const record = (entry) => redactions.push({ entityId: item.id, ...entry });
+      current = RULES[ruleName](current, field, roster, record);
+      if (!current) break;
+    }
+    if (current) redacted.push(current);
+  }
+  return { items: redacted, redactions };
+}
+
+// Public leaderboards keep an entry only with publicMetrics, and its athleteId only with
+// publicName.
+function redactLeaderboard(leaderboard, roster) {
+  const redactions = [];
+  const entries = [];
+  (leaderboard.entries || []).forEach((entry, index) => {
+    const member = roster.resolve(entry && entry.athleteId);
+    const field = `entries[${index}]`;
+    if (!member || !member.consent.publicMetrics) {
+      const reason = member ? 'publicMetrics' : 'unresolved';
+      redactions.push({ entityId: null, field, action: 'dropped', reason });
+      return;
+    }
+    if (!member.consent.publicName) {
+      redactions.push({
+        entityId: null,
+        field: `${field}.athleteId`,
+        action: 'replaced',
+        reason: 'publicName'
+      });
+      entries.push({ ...entry, athleteId: ANONYMOUS_ATHLETE_ID });
+      return;
+    }
+    entries.push(entry);
+  });
+  return { leaderboard: { ...leaderboard, entries }, redactions };
+}
+
+module.exports = {
+  CONSENT_FLAGS,
+  createRoster,
+  redactItems,
+  redactLeaderboard
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+function describeError(basePointer, error) {
+  const pointer = `${basePointer}${error.instancePath}`;
+  const detail =
+    error.keyword === 'additionalProperties'
+      ? `${error.message} (${error.params.additionalProperty})`
+      : error.message;
+  return `${pointer} ${detail}`;
+}
+
+// Validates canonical documents against schemas/*.json. Item schemas (type object) are
+// applied to every entry of the array at `pointer`; array schemas and whole-document schemas
+// are applied to the value at `pointer` itself.
+function createSchemaValidator(root) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const compiled = new Map();
+
+  function getValidator(schemaPath) {
+    if (!compiled.has(schemaPath)) {
+      const raw = fs.readFileSync(path.join(root, schemaPath), 'utf8').replace(/^\uFEFF/, '');
+      const schema = JSON.parse(raw);
+      compiled.set(schemaPath, { schema, validate: ajv.compile(schema) });
+    }
+    return compiled.get(schemaPath);
+  }
+
+  function validate(data, { file, schema, pointer = '' }) {
+    const { schema: schemaDoc, validate: validateValue } = getValidator(schema);
+    const target = pointer
+      ? pointer
+          .split('/')
+          .slice(1)
+          .reduce((value, token) => (value == null ? value : value[token]), data)
+      : data;
+
+    const checks =
+      pointer && schemaDoc.type !== 'array' && Array.isArray(target)
+        ? target.map((entry, index) => [`${pointer}/${index}`, entry])
+        : [[pointer, target]];
+
+    const violations = [];
+    for (const [basePointer, value] of checks) {
+      if (validateValue(value)) continue;
+      for (const error of validateValue.errors || []) {
+        violations.push(describeError(basePointer, error));
+      }
+    }
+    if (violations.length) {
+      const lines = violations.map((violation) => `  ${file}#${violation}`);
+      throw new Error(`Schema validation failed against ${schema}:\n${lines.join('\n')}`);
+    }
+    return data;
+  }
+
+  return { validate };
+}
+
+module.exports = {
+  createSchemaValidator
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const { FIELDS, analyze } = require('../../src/search/search.cjs');
+
+// Builds the compiled/search/<tier>.json indexes read by src/search. Text is analyzed with
+// the client's own tokenize/stem so queries and index agree. Postings are flat
+// [docIndex, fieldIndex, termFrequency, ...] triples per term, in doc order.
+
+const SEARCH_INDEX_VERSION = 1;
+
+function fieldValues(item, sources = []) {
+  return sources.flatMap((source) => {
+    const value = item[source];
+    if (Array.isArray(value)) return value.map((entry) => String(entry ?? '')).filter(Boolean);
+    return value == null || value === '' ? [] : [String(value)];
+  });
+}
+
+// How an item is shown in search results and feeds: the title joins the item fields mapped
+// to `title` in the collection's `search` map, the summary is the first `summary` value.
+function describeItem(collection, item) {
+  return {
+    title: fieldValues(item, collection.search.title).join(' ') || item.id,
+    summary: fieldValues(item, collection.search.summary)[0] || '',
+    url: `/${collection.outDir}/${item.id}`
+  };
+}
+
+// One search document per item, using the collection's `search` map of index field ->
+// item fields.
+function searchDocument(collection, item) {
+  const text = Object.fromEntries(
+    FIELDS.map((field) => [field, fieldValues(item, collection.search[field]).join('\n')])
+  );
+  return {
+    id: item.id,
+    collection: collection.name,
+    ...describeItem(collection, item),
+    tier: item.tier,
+    text
+  };
+}
+
+function buildSearchIndex(documents, tier) {
+  const sorted = documents.slice().sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+  const postings = new Map();
+  const totals = FIELDS.map(() => 0);
+  const docs = sorted.map((document, docIndex) => {
+    const lengths = FIELDS.map((field, fieldIndex) => {
+      const terms = analyze(document.text[field]);
+      const counts = new Map();
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push(docIndex, fieldIndex, count);
+      }
+      totals[fieldIndex] += terms.length;
+      return terms.length;
+    });
+    const { id, collection, title, summary, url, tier: docTier } = document;
+    return { id, collection, title, summary, url, tier: docTier, lengths };
+  });
+  const terms = {};
+  for (const term of Array.from(postings.keys()).sort()) terms[term] = postings.get(term);
+  return {
+    version: SEARCH_INDEX_VERSION,
+    tier,
+    fields: FIELDS,
+    averageLengths: totals.map((total) =>
+      docs.length ? Math.round((total / docs.length) * 100) / 100 : 0
+    ),
+    docs,
+    terms
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  describeItem,
+  searchDocument,
+  buildSearchIndex
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const {
+  DAY_KEYS,
+  DEFAULT_TIME_ZONE,
+  createCalendarSelectors
+} = require('../../src/selectors/calendar.cjs');
+
+// Resolves the day-by-day workouts of a canonical season (seasons.master.json) through the
+// calendar selectors in src/selectors. The selectors expect dated weeks with one
+// `workoutId@vN` reference per day, so the season is adapted first:
+//
+// - weeks are dated consecutively from season.startDate, in block order
+// - a day with several workoutIds is resolved once per position ("slot"), each slot being its
+//   own selector data set
+// - workout ids resolve to their latest published version, as publish-season pins them;
+//   `workoutId@vN` references resolve to that exact version, unless it is a draft
+// - workouts without tier variants (strength sessions) get one variant shared by all tiers
+
+const PLAN_TIERS = ['MED', 'LRG', 'XL'];
+
+function addDays(date, days) {
+  const next = new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000);
+  return next.toISOString().slice(0, 10);
+}
+
+function seasonWeeks(season) {
+  const startDate = String(season.startDate).slice(0, 10);
+  return season.blocks
+    .flatMap((block) => block.weeks.map((week) => ({ block, week })))
+    .map((entry, index) => ({ ...entry, index, startDate: addDays(startDate, index * 7) }));
+}
+
+// Maps every reference a season may hold, `workoutId` and `workoutId@vN`, to its workout.
+function workoutRefs(workouts) {
+  const refs = new Map();
+  for (const workout of workouts) {
+    if (!workout || workout.status === 'draft') continue;
+    refs.set(`${workout.workoutId}@v${workout.version}`, workout);
+    if (workout.status !== 'published') continue;
+    const current = refs.get(workout.workoutId);
+    if (!current || workout.version > current.version) refs.set(workout.workoutId, workout);
+  }
+  return refs;
+}
+
+function withSharedVariant(workout) {
+  if (workout.tiers && Object.keys(workout.tiers).length) return workout;
+  const variant = { name: workout.name, structure: workout.strengthStructure || [] };
+  return { ...workout, tiers: Object.fromEntries(PLAN_TIERS.map((tier) => [tier, variant])) };
+}
+
+function calendarData(season, weeks, refs, slot) {
+  return {
+    seasons: [
+      {
+        seasonId: season.seasonId,
+        timezone: DEFAULT_TIME_ZONE,
+        startDate: weeks[0].startDate,
+        endDate: addDays(weeks[weeks.length - 1].startDate, 6),
+        weekIds: weeks.map(({ week }) => week.weekId)
+      }
+    ],
+    blocks: season.blocks.map((block) => ({
+      blockId: block.blockId,
+      name: block.name,
+      weekIds: block.weeks.map((week) => week.weekId)
+    })),
+    weeks: weeks.map(({ block, week, startDate }) => ({
+      weekId: week.weekId,
+      seasonId: season.seasonId,
+      blockId: block.blockId,
+      startDate,
+      workouts: Object.fromEntries(
+        DAY_KEYS.map((day) => {
+          const workout = refs.get(((week.days || {})[day] || {}).workoutIds?.[slot]);
+          return [day, workout ? `${workout.workoutId}@v${workout.version}` : null];
+        })
+      )
+    })),
+    workouts: Array.from(new Set(refs.values())).map(withSharedVariant)
+  };
+}
+
+// Returns { days, unresolved }: one entry per scheduled workout, ordered by date and slot, with
+// the resolved variant for every tier, and the workout references that resolve to no workout.
+// Throws when the season cannot be dated or fails the selectors' validation.
+function resolveSeasonPlan(season, workouts) {
+  if (!season.startDate) throw new Error(`Season ${season.seasonId} has no startDate`);
+  const weeks = seasonWeeks(season);
+  if (!weeks.length) return { days: [], unresolved: [] };
+  const refs = workoutRefs(workouts);
+  const unresolved = new Set();
+  let slots = 0;
+  for (const { week } of weeks) {
+    for (const day of DAY_KEYS) {
+      const ids = ((week.days || {})[day] || {}).workoutIds || [];
+      slots = Math.max(slots, ids.length);
+      ids.filter((id) => !refs.has(id)).forEach((id) => unresolved.add(id));
+    }
+  }
+
+  const days = [];
+  for (let slot = 0; slot < slots; slot += 1) {
+    const selectors = createCalendarSelectors(calendarData(season, weeks, refs, slot));
+    for (const { week, startDate, index } of weeks) {
+      DAY_KEYS.forEach((day, offset) => {
+        const date = addDays(startDate, offset);
+        const resolved = selectors.resolveWorkoutOfDay(new Date(`${date}T12:00:00Z`));
+        if (!resolved) return;
+        days.push({
+          date,
+          slot,
+          weekId: week.weekId,
+          weekNumber: index + 1,
+          block: resolved.block,
+          workout: resolved.workout,
+          tiers: resolved.tiers
+        });
+      });
+    }
+  }
+  days.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.slot - b.slot));
+  return { days, unresolved: Array.from(unresolved).sort() };
+}
+
+module.exports = {
+  PLAN_TIERS,
+  resolveSeasonPlan
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { migrateCanonical } = require('./lib/migrateCanonical');
+const { createSchemaValidator } = require('./lib/schemaValidation');
+
+const ROOT = path.resolve(__dirname, '..');
+const REPORT_FILE = 'data/v2-mapping.json';
+const SCHEMAS = {
+  seasons: 'schemas/season.schema.json',
+  blocks: 'schemas/block.schema.json',
+  weeks: 'schemas/week.schema.json'
+};
+
+async function readJsonIfExists(relPath) {
+  try {
+    return JSON.parse((await fs.readFile(path.join(ROOT, relPath), 'utf8')).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    if (error && error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read ${relPath}: ${error.message}`);
+  }
+}
+
+// The v2 entities of one folder by id: files with an `id`, as validate-canonical reads them.
+async function readV2Entities(dir) {
+  const entities = new Map();
+  let names = [];
+  try {
+    names = (await fs.readdir(path.join(ROOT, dir))).filter((name) => name.endsWith('.json'));
+  } catch (error) {
+    if (!error || error.code !== 'ENOENT') throw error;
+  }
+  for (const name of names.sort()) {
+    // eslint-disable-next-line no-await-in-loop
+    const data = await readJsonIfExists(`${dir}/${name}`);
+    if (data && typeof data.id === 'string') {
+      entities.set(data.id, { file: `${dir}/${name}`, data });
+    }
+  }
+  return entities;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const legacy = {
+    seasons: await readJsonIfExists('data/seasons.json'),
+    blocks: await readJsonIfExists('data/blocks.json'),
+    weeks: await readJsonIfExists('data/weeks.json')
+  };
+  const master = await readJsonIfExists('seasons/seasons.master.json');
+  const existing = {
+    season: await readV2Entities('seasons'),
+    block: await readV2Entities('blocks'),
+    week: await readV2Entities('weeks')
+  };
+  const workoutIds = new Set((await readV2Entities('workouts')).keys());
+
+  const { writes, report } = migrateCanonical(
+    { legacy: legacy.seasons || legacy.weeks ? legacy : null, master },
+    { existing, workoutIds }
+  );
+
+  const validator = createSchemaValidator(ROOT);
+  for (const { file, data } of writes) {
+    validator.validate(data, { file, schema: SCHEMAS[file.split('/')[0]] });
+  }
+
+  for (const entry of report.entities) {
+    const target = entry.file ? ` -> ${entry.file}` : '';
+    console.log(`  ${entry.result.padEnd(8)} ${entry.kind} ${entry.id}${target}`);
+    for (const note of entry.notes || []) console.log(`             ${note}`);
+  }
+  const { migrated, conflict, skipped } = report.counts;
+  const summary = `${migrated} migrated, ${conflict} conflicts, ${skipped} skipped`;
+  if (dryRun) {
+    console.log(`[SUC-SHARED-DATA] Dry run: would write ${writes.length} files (${summary}).`);
+    return;
+  }
+
+  for (const { file, data } of writes) {
+    // eslint-disable-next-line no-await-in-loop
+    await fs.writeFile(path.join(ROOT, file), `${JSON.stringify(data, null, 2)}\n`);
+  }
+  await fs.writeFile(path.join(ROOT, REPORT_FILE), `${JSON.stringify(report, null, 2)}\n`);
+  console.log(
+    `[SUC-SHARED-DATA] Wrote ${writes.length} v2 files (${summary}); mapping in ${REPORT_FILE}.`
+  );
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
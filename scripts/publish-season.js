@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { publishSeason } = require('./lib/publishSeason');
+
+const ROOT = path.resolve(__dirname, '..');
+const SEASONS_FILE = path.join(ROOT, 'seasons', 'seasons.master.json');
+const WORKOUTS_FILE = path.join(ROOT, 'workouts', 'workouts.master.json');
+const USAGE = 'Usage: npm run publish:season -- <seasonId> [--start-date YYYY-MM-DD] [--dry-run]';
+
+function parseArgs(argv) {
+  const args = { seasonId: null, startDate: null, dryRun: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--start-date') args.startDate = argv[++i] || null;
+    else if (arg.startsWith('--start-date=')) args.startDate = arg.slice('--start-date='.length);
+    else if (!arg.startsWith('--') && !args.seasonId) args.seasonId = arg;
+    else throw new Error(`Unknown argument ${arg}\n${USAGE}`);
+  }
+  if (!args.seasonId) throw new Error(USAGE);
+  return args;
+}
+
+async function readMaster(filePath, key) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  const parsed = JSON.parse(raw);
+  if (!parsed || !Array.isArray(parsed[key])) throw new Error(`Invalid ${filePath}`);
+  return { raw, parsed };
+}
+
+// Rewrites the master file with two-space indentation, keeping its trailing newline (or lack of
+// one) so that the diff only shows the published changes.
+async function writeMaster(filePath, { raw, parsed }, key, entries) {
+  const trailing = raw.endsWith('\n') ? '\n' : '';
+  await fs.writeFile(
+    filePath,
+    `${JSON.stringify({ ...parsed, [key]: entries }, null, 2)}${trailing}`
+  );
+}
+
+async function main() {
+  const { seasonId, startDate, dryRun } = parseArgs(process.argv.slice(2));
+  const seasonsMaster = await readMaster(SEASONS_FILE, 'seasons');
+  const workoutsMaster = await readMaster(WORKOUTS_FILE, 'workouts');
+  const result = publishSeason(
+    { seasons: seasonsMaster.parsed.seasons, workouts: workoutsMaster.parsed.workouts },
+    seasonId,
+    { startDate }
+  );
+
+  for (const { weekId, day, from, to } of result.pins) {
+    console.log(`  pinned  ${weekId} ${day}: ${from} -> ${to}`);
+  }
+  for (const ref of result.created) console.log(`  created ${ref} (library copy had drifted)`);
+
+  if (dryRun) {
+    console.log(`[SUC-SHARED-DATA] Dry run: season ${seasonId} can be published.`);
+    return;
+  }
+  if (result.created.length) {
+    await writeMaster(WORKOUTS_FILE, workoutsMaster, 'workouts', result.workouts);
+  }
+  await writeMaster(SEASONS_FILE, seasonsMaster, 'seasons', result.seasons);
+  console.log(
+    `[SUC-SHARED-DATA] Published season ${seasonId} (${result.pins.length} references pinned, ${result.created.length} workout versions created). Run npm run build.`
+  );
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
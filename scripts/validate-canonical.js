@@ -1,5 +1,11 @@
+const { execFileSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const {
+  checkImmutability,
+  collectPlanEntities,
+  formatViolation,
+} = require("./lib/immutability");
 
 let Ajv;
 let addFormats;
@@ -14,6 +20,22 @@ try {
 
 const root = process.cwd();
 
+// `--base <ref>` also checks the working tree against that git ref for edits that
+// docs/immutability.md forbids (e.g. `npm run validate:canonical -- --base origin/main`).
+function parseBaseRef(argv) {
+  const index = argv.findIndex((arg) => arg === "--base" || arg.startsWith("--base="));
+  if (index === -1) {
+    return null;
+  }
+  const ref = argv[index] === "--base" ? argv[index + 1] : argv[index].slice("--base=".length);
+  if (!ref) {
+    throw new Error("--base needs a git ref, e.g. --base origin/main");
+  }
+  return ref;
+}
+
+const baseRef = parseBaseRef(process.argv.slice(2));
+
 const canonicalSets = [
   {
     label: "season",
@@ -138,4 +160,67 @@ for (const [id, entry] of canonical.week) {
   }
 }
 
-console.log("Canonical training data validation passed.");
+function git(args) {
+  return execFileSync("git", args, {
+    cwd: root,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "ignore"],
+    maxBuffer: 64 * 1024 * 1024,
+  });
+}
+
+function gitSource(ref) {
+  return {
+    list(dir) {
+      try {
+        return git(["ls-tree", "--name-only", `${ref}:${dir}`]).split("\n").filter(Boolean);
+      } catch (err) {
+        return [];
+      }
+    },
+    read(relPath) {
+      try {
+        return git(["show", `${ref}:${relPath}`]);
+      } catch (err) {
+        return null;
+      }
+    },
+  };
+}
+
+function workingTreeSource() {
+  return {
+    list(dir) {
+      return listJsonFiles(path.join(root, dir)).map((file) => path.basename(file));
+    },
+    read(relPath) {
+      const fullPath = path.join(root, relPath);
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf8") : null;
+    },
+  };
+}
+
+if (baseRef) {
+  try {
+    git(["rev-parse", "--verify", "--quiet", `${baseRef}^{commit}`]);
+  } catch (err) {
+    fail(`Unknown git ref "${baseRef}"`);
+  }
+  const violations = checkImmutability(
+    collectPlanEntities(gitSource(baseRef)),
+    collectPlanEntities(workingTreeSource())
+  );
+  if (violations.length) {
+    fail(
+      `Immutability check against ${baseRef} failed:\n${violations
+        .map((violation) => `  ${formatViolation(violation)}`)
+        .join("\n")}`
+    );
+  }
+}
+
+console.log(
+  baseRef
+    ? `Canonical training data validation and immutability check against ${baseRef} passed.`
+    : "Canonical training data validation passed."
+);
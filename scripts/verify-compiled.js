@@ -0,0 +1,39 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const { META_FILE, verifyCompiledDir } = require('./lib/compiledOutput');
+
+const ROOT = path.resolve(__dirname, '..');
+const COMPILED_DIR = path.join(ROOT, 'compiled');
+
+async function main() {
+  const metaPath = path.join(COMPILED_DIR, META_FILE);
+  const meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+  if (!meta || !meta.manifest || typeof meta.manifest !== 'object') {
+    throw new Error(`No manifest in ${metaPath}. Run npm run build.`);
+  }
+
+  const { missing, mismatched, unexpected, ok } = await verifyCompiledDir(
+    COMPILED_DIR,
+    meta.manifest
+  );
+  for (const relPath of missing) console.log(`  missing    compiled/${relPath}`);
+  for (const relPath of mismatched) console.log(`  mismatch   compiled/${relPath}`);
+  for (const relPath of unexpected) console.log(`  unexpected compiled/${relPath}`);
+
+  const total = Object.keys(meta.manifest).length;
+  if (!ok) {
+    console.error(
+      `[SUC-SHARED-DATA] compiled/ does not match its manifest (${missing.length} missing, ${mismatched.length} mismatched, ${unexpected.length} unexpected of ${total}).`
+    );
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`[SUC-SHARED-DATA] Verified ${total} compiled files against _meta.json.`);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+// Client-side search over the prebuilt indexes in compiled/search/<tier>.json. The build
+// (scripts/lib/searchIndex.js) analyzes text with the same tokenize/stem functions, so a
+// query matches exactly the terms that were indexed.
+
+const FIELDS = ["title", "summary", "body", "topics"];
+const FIELD_WEIGHTS = { title: 3, summary: 1.5, body: 1, topics: 2 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have if in into is it its of on or so " +
+    "than that the their then there these they this to was were will with you your"
+  ).split(" "),
+);
+
+function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function hasVowel(value) {
+  return /[aeiouy]/.test(value);
+}
+
+// Light suffix stripping (plurals, -ing, -ed, -ly). Deliberately conservative: it only
+// has to map the forms coaches actually write onto one term.
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let stemmed = word;
+  if (stemmed.endsWith("ies") && stemmed.length > 4) {
+    stemmed = `${stemmed.slice(0, -3)}y`;
+  } else if (stemmed.endsWith("sses")) {
+    stemmed = stemmed.slice(0, -2);
+  } else if (stemmed.endsWith("s") && !/(ss|us|is)$/.test(stemmed)) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  for (const suffix of ["ing", "ed"]) {
+    const base = stemmed.slice(0, -suffix.length);
+    if (stemmed.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+      stemmed = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+  if (stemmed.endsWith("ly") && stemmed.length > 5) {
+    stemmed = stemmed.slice(0, -2);
+  }
+  return stemmed;
+}
+
+// Words of a text, lowercased and without diacritics; stop words and single letters are
+// dropped. Markdown punctuation simply separates words.
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)));
+}
+
+function analyze(text) {
+  return tokenize(text).map(stem);
+}
+
+function assertIndex(index) {
+  if (
+    !index ||
+    !Array.isArray(index.docs) ||
+    !Array.isArray(index.fields) ||
+    !index.terms ||
+    typeof index.terms !== "object"
+  ) {
+    throw new Error("Invalid search index.");
+  }
+}
+
+// Query terms are stemmed like the index. While the user is still typing (the query does not
+// end in whitespace) the last word also matches indexed terms it is a prefix of, at a
+// reduced weight. Results are ranked with BM25 over the weighted fields and tie-break on url.
+function createSearch(index) {
+  assertIndex(index);
+  const termList = Object.keys(index.terms);
+  const docCount = index.docs.length;
+  const averageLengths = index.averageLengths || index.fields.map(() => 1);
+  const weights = index.fields.map((field) => FIELD_WEIGHTS[field] ?? 1);
+
+  function idf(postings) {
+    const docFrequency = new Set();
+    for (let i = 0; i < postings.length; i += 3) docFrequency.add(postings[i]);
+    const df = docFrequency.size;
+    return Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  }
+
+  function expand(query) {
+    const words = tokenize(query);
+    const expanded = new Map();
+    words.forEach((word, position) => {
+      const term = stem(word);
+      expanded.set(term, Math.max(expanded.get(term) || 0, 1));
+      const typing = position === words.length - 1 && !/\s$/.test(query);
+      if (!typing || word.length < 2) return;
+      for (const candidate of termList) {
+        if (candidate !== term && candidate.startsWith(word)) {
+          expanded.set(candidate, Math.max(expanded.get(candidate) || 0, PREFIX_WEIGHT));
+        }
+      }
+    });
+    return expanded;
+  }
+
+  function search(query, options = {}) {
+    const { limit = 20, collections = null } = options;
+    const scores = new Map();
+    for (const [term, termWeight] of expand(query)) {
+      // Own keys only: a query such as "constructor" must not reach Object.prototype.
+      if (!Object.hasOwn(index.terms, term)) continue;
+      const postings = index.terms[term];
+      const termIdf = idf(postings);
+      const frequencies = new Map();
+      for (let i = 0; i < postings.length; i += 3) {
+        const [docIndex, fieldIndex, tf] = postings.slice(i, i + 3);
+        const doc = index.docs[docIndex];
+        const length = doc.lengths ? doc.lengths[fieldIndex] : 1;
+        const norm = 1 - BM25_B + (BM25_B * length) / (averageLengths[fieldIndex] || 1);
+        frequencies.set(
+          docIndex,
+          (frequencies.get(docIndex) || 0) + (weights[fieldIndex] * tf) / norm,
+        );
+      }
+      for (const [docIndex, frequency] of frequencies) {
+        const score = (termWeight * termIdf * frequency) / (BM25_K1 + frequency);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      }
+    }
+    return Array.from(scores, ([docIndex, score]) => ({
+      doc: index.docs[docIndex],
+      score,
+    }))
+      .filter(({ doc }) => !collections || collections.includes(doc.collection))
+      .sort((a, b) => b.score - a.score || a.doc.url.localeCompare(b.doc.url))
+      .slice(0, limit)
+      .map(({ doc, score }) => ({
+        id: doc.id,
+        collection: doc.collection,
+        title: doc.title,
+        summary: doc.summary,
+        url: doc.url,
+        tier: doc.tier,
+        score: Math.round(score * 1000) / 1000,
+      }));
+  }
+
+  return { search };
+}
+
+// Fetches compiled/search/<tier>.json (or any URL serving it) and returns a searcher.
+async function loadSearch(url, options = {}) {
+  const fetchImpl = options.fetch ?? globalThis.fetch;
+  const response = await fetchImpl(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load search index ${url}: ${response.status}`);
+  }
+  return createSearch(await response.json());
+}
+
+module.exports = {
+  FIELDS,
+  FIELD_WEIGHTS,
+  tokenize,
+  stem,
+  analyze,
+  createSearch,
+  loadSearch,
+};
@@ -383,6 +383,7 @@ function createCalendarSelectors(data, options = {}) {
 export {
   DEFAULT_TIME_ZONE,
   DAY_KEYS,
+  parseWorkoutRef,
   resolveActiveSeason,
   resolveWeekForDate,
   resolveWorkoutOfDay,
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  COLLECTIONS,
+  collectionOutputFiles,
+} = require("../scripts/lib/collections.js");
+
+const gearReviews = COLLECTIONS.find(
+  (collection) => collection.name === "gear-reviews",
+);
+
+const items = [
+  { id: "public-pack", category: "packs", tier: "public" },
+  { id: "team-pack", category: "packs", tier: "team" },
+  { id: "default-tier-lamp", category: "lights" },
+  { id: "coach-lamp", category: "lights", tier: "coach" },
+];
+
+function idsIn(files, relPath) {
+  return JSON.parse(files[relPath]).map((item) => item.id);
+}
+
+test("public files contain only public items", () => {
+  const { files } = collectionOutputFiles(gearReviews, items);
+  const publicPaths = Object.keys(files).filter((relPath) =>
+    relPath.startsWith("public/"),
+  );
+
+  assert.ok(publicPaths.length > 0);
+  for (const relPath of publicPaths) {
+    for (const item of JSON.parse(files[relPath])) {
+      assert.equal(item.tier, "public", `${item.id} leaked into ${relPath}`);
+    }
+  }
+  assert.deepEqual(idsIn(files, "public/gear-reviews/index.json"), [
+    "public-pack",
+    "default-tier-lamp",
+  ]);
+});
+
+test("team files add team items and no tree keeps every tier", () => {
+  const { files } = collectionOutputFiles(gearReviews, items);
+
+  assert.deepEqual(idsIn(files, "team/gear-reviews/by-category/packs.json"), [
+    "public-pack",
+    "team-pack",
+  ]);
+  assert.deepEqual(idsIn(files, "team/gear-reviews/by-category/lights.json"), [
+    "default-tier-lamp",
+  ]);
+  assert.deepEqual(
+    Object.keys(files).filter((relPath) => relPath.startsWith("gear-reviews/")),
+    [],
+  );
+  assert.ok(
+    Object.values(files).every((content) => !content.includes("coach-lamp")),
+  );
+});
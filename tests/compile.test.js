@@ -0,0 +1,440 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+
+const { affectedTargets, compile } = require("../scripts/compile.js");
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "suc-compile-"));
+  try {
+    await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Copies the canonical sources into `root`, so that builds there have their own .cache/.
+async function copySources(root) {
+  const repo = path.resolve(__dirname, "..");
+  const skipped = new Set([".git", ".cache", "compiled", "node_modules"]);
+  for (const entry of await fs.readdir(repo, { withFileTypes: true })) {
+    if (!entry.isDirectory() || skipped.has(entry.name)) continue;
+    await fs.cp(path.join(repo, entry.name), path.join(root, entry.name), {
+      recursive: true,
+    });
+  }
+}
+
+async function readTree(dir, prefix = "") {
+  const files = {};
+  for (const entry of await fs.readdir(path.join(dir, prefix), {
+    withFileTypes: true,
+  })) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      Object.assign(files, await readTree(dir, relPath));
+    } else {
+      files[relPath] = await fs.readFile(path.join(dir, relPath));
+    }
+  }
+  return files;
+}
+
+test("compile writes only the selected targets and reports the result", async () => {
+  await withTempDir(async (outDir) => {
+    const result = await compile({
+      outDir,
+      only: ["training", "leaderboards"],
+      asOf: "2026-03-01T12:00:00Z",
+      cache: false,
+    });
+
+    assert.deepEqual(result.targets, ["training", "leaderboards"]);
+    assert.ok(result.files.includes("team/training/index.json"));
+    assert.ok(result.files.includes("team/leaderboards/current.json"));
+    assert.ok(!result.files.includes("routes.json"));
+    assert.deepEqual(result.added, result.files);
+    assert.deepEqual(result.diagnostics, []);
+    assert.ok(result.files.includes("_diagnostics.json"));
+
+    const meta = JSON.parse(
+      await fs.readFile(path.join(outDir, "_meta.json"), "utf8"),
+    );
+    assert.equal(meta.lastBuildAt, "2026-03-01T12:00:00.000Z");
+    assert.deepEqual(meta.counts, result.counts);
+  });
+});
+
+test("compile keeps the files of skipped targets in place", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({ outDir, only: ["training", "gear-reviews"], cache: false });
+    const result = await compile({
+      outDir,
+      skip: ["training"],
+      only: ["gear-reviews"],
+      cache: false,
+    });
+
+    assert.ok(result.files.includes("team/training/index.json"));
+    assert.deepEqual(result.removed, []);
+    assert.equal(result.clean, true);
+  });
+});
+
+test("compile rejects unknown targets", async () => {
+  await assert.rejects(
+    compile({ only: ["nope"], check: true, cache: false }),
+    /Unknown build target/,
+  );
+});
+
+test("compile holds back items scheduled after the as-of instant", async () => {
+  await withTempDir(async (outDir) => {
+    const result = await compile({
+      outDir,
+      only: ["training"],
+      asOf: "2026-02-07T07:30:00Z",
+      cache: false,
+    });
+
+    const index = JSON.parse(
+      await fs.readFile(
+        path.join(outDir, "team", "training", "index.json"),
+        "utf8",
+      ),
+    );
+    const ids = index.map((item) => item.id);
+    assert.ok(!ids.includes("downhill-eccentric-resilience"));
+    assert.ok(ids.length > 0);
+    assert.deepEqual(
+      result.diagnostics.map((diagnostic) => [
+        diagnostic.code,
+        diagnostic.entityId,
+      ]),
+      [["scheduled", "downhill-eccentric-resilience"]],
+    );
+  });
+});
+
+test("compile sorts events by start and splits upcoming from past", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({
+      outDir,
+      only: ["events"],
+      asOf: "2026-02-07T16:00:00Z",
+      cache: false,
+    });
+
+    const read = async (file) =>
+      JSON.parse(await fs.readFile(path.join(outDir, file), "utf8"));
+    const ids = (events) => events.map((event) => event.eventId);
+    const events = await read("events.json");
+    assert.deepEqual(ids(events), ["SUC-031", "SUC-035", "SUC-036"]);
+    assert.equal(events[1].eventTime, "7:15 AM");
+    assert.equal(events[1].startsAt, "2026-02-07T07:15:00-08:00");
+    assert.deepEqual(ids(await read("events.upcoming.json")), [
+      "SUC-035",
+      "SUC-036",
+    ]);
+    assert.deepEqual(ids(await read("events.past.json")), ["SUC-031"]);
+  });
+});
+
+test("compile writes one detail bundle per selected event with an index", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({ outDir, only: ["events"], cache: false });
+
+    const index = JSON.parse(
+      await fs.readFile(path.join(outDir, "events", "index.json"), "utf8"),
+    );
+    assert.deepEqual(
+      index.map((entry) => entry.path),
+      ["events/SUC-031.json", "events/SUC-035.json", "events/SUC-036.json"],
+    );
+    const content = await fs.readFile(path.join(outDir, index[1].path), "utf8");
+    assert.equal(
+      crypto.createHash("sha256").update(content).digest("hex"),
+      index[1].sha256,
+    );
+
+    const bundle = JSON.parse(content);
+    assert.equal(bundle.event.startsAt, "2026-02-07T07:15:00-08:00");
+    assert.equal(bundle.startLocation.name, "Brown's Ravine");
+    assert.ok(bundle.routes.length > 0);
+    for (const route of bundle.routes) {
+      assert.equal(route.stats.id, route.routeId);
+      assert.ok(route.stats.distanceMi > 0);
+    }
+    assert.ok(Array.isArray(bundle.poiHighlights));
+  });
+});
+
+test("compile links only public nodes from events.json and the event bundles", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({ outDir, only: ["events"], cache: false });
+
+    const read = async (file) =>
+      JSON.parse(await fs.readFile(path.join(outDir, file), "utf8"));
+    const events = await read("events.json");
+    const related = events.flatMap((event) => event.related);
+    assert.ok(related.some((entry) => entry.kind === "route-group"));
+    assert.ok(related.every((entry) => entry.tier === "public"));
+    for (const event of events) {
+      const bundle = await read(`events/${event.eventId}.json`);
+      assert.ok(bundle.related.every((entry) => entry.tier === "public"));
+    }
+  });
+});
+
+test("compile leaves unpublished events out of the calendar feed", async () => {
+  await withTempDir(async (root) => {
+    const repo = path.resolve(__dirname, "..");
+    for (const dir of ["events", "schemas", "seasons", "workouts"]) {
+      await fs.cp(path.join(repo, dir), path.join(root, dir), {
+        recursive: true,
+      });
+    }
+    const masterPath = path.join(root, "events", "events.master.json");
+    const master = JSON.parse(await fs.readFile(masterPath, "utf8"));
+    const events = Array.isArray(master) ? master : master.events;
+    events.find((event) => event.event_id === "SUC-035").revision = 3;
+    events.push({
+      event_id: "SUC-999",
+      event_name: "Coaches recce",
+      event_date: "2026-02-21",
+      publish: false,
+    });
+    await fs.writeFile(masterPath, JSON.stringify(master));
+    const selectionPath = path.join(root, "events", "events.selection.json");
+    const selection = JSON.parse(await fs.readFile(selectionPath, "utf8"));
+    selection.selectedEventIds.push("SUC-999");
+    await fs.writeFile(selectionPath, JSON.stringify(selection));
+
+    await compile({ root, only: ["calendar"], cache: false });
+    const ics = await fs.readFile(
+      path.join(root, "compiled", "calendar", "events.ics"),
+      "utf8",
+    );
+    assert.ok(!ics.includes("SUC-999"));
+    assert.match(ics, /UID:event-SUC-035@suc\r\nDTSTAMP:\S+\r\nSEQUENCE:3\r\n/);
+    assert.match(ics, /UID:event-SUC-031@suc\r\nDTSTAMP:\S+\r\nSEQUENCE:0\r\n/);
+  });
+});
+
+test("compile expands recurring events in Los Angeles days around the as-of", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    const masterPath = path.join(root, "events", "events.master.json");
+    const master = JSON.parse(await fs.readFile(masterPath, "utf8"));
+    const events = Array.isArray(master) ? master : master.events;
+    events.push({
+      ...events.find((event) => event.event_id === "SUC-035"),
+      event_id: "CREW-WED",
+      event_date: "Jan 7 2026",
+      event_time: "6:00 PM",
+      recurring: { frequency: "weekly" },
+    });
+    await fs.writeFile(masterPath, JSON.stringify(master));
+    const selectionPath = path.join(root, "events", "events.selection.json");
+    const selection = JSON.parse(await fs.readFile(selectionPath, "utf8"));
+    selection.selectedEventIds.push("CREW-WED");
+    await fs.writeFile(selectionPath, JSON.stringify(selection));
+
+    // Tuesday 9 PM in Los Angeles, already Wednesday in UTC.
+    await compile({
+      root,
+      only: ["events"],
+      asOf: "2026-03-04T05:00:00Z",
+      horizonDays: 0,
+      lookbackDays: 14,
+      cache: false,
+    });
+    const written = JSON.parse(
+      await fs.readFile(path.join(root, "compiled", "events.json"), "utf8"),
+    );
+    assert.deepEqual(
+      written
+        .filter((event) => event.seriesId === "CREW-WED")
+        .map((event) => event.eventId),
+      ["CREW-WED-2026-02-18", "CREW-WED-2026-02-25"],
+    );
+  });
+});
+
+test("compile writes the same bytes from the cache as without it", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    const asOf = "2026-03-01T12:00:00Z";
+    await compile({ root, outDir: "cold", asOf });
+    const warm = await compile({ root, outDir: "warm", asOf });
+    await compile({ root, outDir: "uncached", asOf, cache: false });
+
+    assert.equal(warm.cache.misses, 0);
+    assert.ok(warm.cache.hits > 0);
+    const cold = await readTree(path.join(root, "cold"));
+    for (const outDir of ["warm", "uncached"]) {
+      const files = await readTree(path.join(root, outDir));
+      assert.deepEqual(Object.keys(files).sort(), Object.keys(cold).sort());
+      for (const [relPath, content] of Object.entries(files)) {
+        assert.ok(
+          content.equals(cold[relPath]),
+          `${outDir}/${relPath} differs`,
+        );
+      }
+    }
+  });
+});
+
+test("compile rebuilds only the route group whose files changed", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    const first = await compile({ root, only: ["routes"] });
+    assert.deepEqual(first.cache, { hits: 0, misses: 3 });
+
+    const metaPath = path.join(root, "routes", "SUC-035", "route.meta.json");
+    await fs.appendFile(metaPath, "\n");
+    const touched = await compile({ root, only: ["routes"] });
+    assert.deepEqual(touched.cache, { hits: 2, misses: 1 });
+    assert.deepEqual(touched.changed, []);
+  });
+});
+
+test("compile --check writes no build cache", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    const result = await compile({ root, only: ["routes"], check: true });
+
+    assert.equal(result.cache.misses, 3);
+    await assert.rejects(fs.access(path.join(root, ".cache")), {
+      code: "ENOENT",
+    });
+  });
+});
+
+test("compile --check runs as of the build it compares against", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({
+      outDir,
+      only: ["training"],
+      asOf: "2026-02-07T07:30:00Z",
+      cache: false,
+    });
+    const check = { outDir, only: ["training"], check: true, cache: false };
+
+    assert.equal((await compile(check)).clean, true);
+    assert.equal((await compile({ ...check, asOf: new Date() })).clean, false);
+  });
+});
+
+test("compile leaves compiled/ untouched when a target throws", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    await compile({ root, only: ["training"], cache: false });
+    const compiledDir = path.join(root, "compiled");
+    const before = await readTree(compiledDir);
+
+    await fs.writeFile(
+      path.join(root, "training-content", "training-content.master.json"),
+      "{",
+    );
+    await assert.rejects(compile({ root, cache: false }), SyntaxError);
+
+    assert.deepEqual(await readTree(compiledDir), before);
+    const siblings = await fs.readdir(root);
+    assert.ok(!siblings.some((name) => name.startsWith("compiled.")));
+  });
+});
+
+test("watch rebuilds the targets that depend on a changed file", () => {
+  const names = (relPath) =>
+    affectedTargets([relPath]).map((target) => target.name);
+
+  assert.deepEqual(names("routes/SUC-035/SUC-035-MED.gpx"), [
+    "routes",
+    "events",
+    "race-recaps",
+    "crew-run-recaps",
+    "graph",
+    "search",
+    "feeds",
+  ]);
+  assert.deepEqual(names("gear-reviews/gear-reviews.master.json"), [
+    "gear-reviews",
+    "search",
+    "feeds",
+  ]);
+  assert.deepEqual(names("workouts/workout.easy.json"), ["calendar", "plans"]);
+  assert.deepEqual(names("docs/immutability.md"), []);
+});
+
+test("compile reports a broken route group and still compiles the others", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    await fs.rm(path.join(root, "routes", "SUC-036", "MED.gpx"));
+    const result = await compile({
+      root,
+      only: ["routes", "events"],
+      cache: false,
+    });
+
+    assert.deepEqual(
+      result.errors.map((error) => [error.code, error.entityId]),
+      [["route-group-failed", "SUC-036"]],
+    );
+    const { routes } = JSON.parse(
+      await fs.readFile(path.join(root, "compiled", "routes.json"), "utf8"),
+    );
+    const groups = new Set(Object.keys(routes).map((id) => id.slice(0, 7)));
+    assert.deepEqual(Array.from(groups).sort(), ["SUC-031", "SUC-035"]);
+    assert.ok(result.files.includes("events/SUC-036.json"));
+  });
+});
+
+test("the build exits non-zero on warnings only with --strict", async () => {
+  await withTempDir(async (root) => {
+    await copySources(root);
+    const repo = path.resolve(__dirname, "..");
+    await fs.symlink(
+      path.join(repo, "node_modules"),
+      path.join(root, "node_modules"),
+    );
+    const recapsPath = path.join(
+      root,
+      "crew-run-recaps",
+      "crew-run-recaps.master.json",
+    );
+    const recaps = JSON.parse(await fs.readFile(recapsPath, "utf8"));
+    recaps.items[0].routeId = "nowhere-loop";
+    await fs.writeFile(recapsPath, JSON.stringify(recaps));
+
+    const build = (...args) =>
+      spawnSync(
+        process.execPath,
+        [path.join(root, "scripts", "compile.js"), "--only", "graph", ...args],
+        { encoding: "utf8", timeout: 120000 },
+      );
+    const lenient = build();
+    assert.equal(lenient.status, 0, lenient.stderr);
+    assert.match(lenient.stderr, /routeId "nowhere-loop"/);
+    assert.equal(build("--strict").status, 1);
+  });
+});
+
+test("compile writes leaderboards only per audience", async () => {
+  await withTempDir(async (outDir) => {
+    const result = await compile({
+      outDir,
+      only: ["leaderboards"],
+      cache: false,
+    });
+
+    assert.deepEqual(
+      result.files.filter((relPath) => relPath.includes("leaderboards/")),
+      ["public/leaderboards/current.json", "team/leaderboards/current.json"],
+    );
+  });
+});
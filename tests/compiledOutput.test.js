@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+
+const { compile } = require("../scripts/compile.js");
+const {
+  listFiles,
+  publishCompiledDir,
+  verifyCompiledDir,
+} = require("../scripts/lib/compiledOutput.js");
+
+async function withTempDir(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "suc-output-"));
+  try {
+    await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("publishing removes files the build no longer produces", async () => {
+  await withTempDir(async (dir) => {
+    const baseDir = path.join(dir, "compiled");
+    await fs.mkdir(path.join(baseDir, "routes"), { recursive: true });
+    await fs.writeFile(path.join(baseDir, "events.json"), "[]");
+    await fs.writeFile(path.join(baseDir, "routes", "SUC-404.json"), "{}");
+
+    await publishCompiledDir(baseDir, {
+      "events.json": '[{"eventId":"SUC-035"}]',
+      "routes/SUC-035.json": "{}",
+    });
+
+    assert.deepEqual(await listFiles(baseDir), [
+      "events.json",
+      "routes/SUC-035.json",
+    ]);
+    assert.equal(
+      await fs.readFile(path.join(baseDir, "events.json"), "utf8"),
+      '[{"eventId":"SUC-035"}]',
+    );
+    assert.deepEqual(await fs.readdir(dir), ["compiled"]);
+  });
+});
+
+test("publishing creates the compiled directory on the first build", async () => {
+  await withTempDir(async (dir) => {
+    const baseDir = path.join(dir, "compiled");
+    await publishCompiledDir(baseDir, { "routes.json": "{}" });
+
+    assert.deepEqual(await listFiles(baseDir), ["routes.json"]);
+    assert.deepEqual(await fs.readdir(dir), ["compiled"]);
+  });
+});
+
+test("the manifest describes every written file and verify catches drift", async () => {
+  await withTempDir(async (outDir) => {
+    await compile({ outDir, only: ["events", "routes"], cache: false });
+    const { manifest } = JSON.parse(
+      await fs.readFile(path.join(outDir, "_meta.json"), "utf8"),
+    );
+
+    const written = (await listFiles(outDir)).filter(
+      (relPath) => relPath !== "_meta.json",
+    );
+    assert.deepEqual(Object.keys(manifest), written);
+    for (const relPath of written) {
+      const content = await fs.readFile(path.join(outDir, relPath));
+      assert.equal(
+        manifest[relPath].sha256,
+        crypto.createHash("sha256").update(content).digest("hex"),
+        relPath,
+      );
+      assert.equal(manifest[relPath].bytes, content.length, relPath);
+    }
+    assert.equal((await verifyCompiledDir(outDir, manifest)).ok, true);
+
+    await fs.appendFile(path.join(outDir, "events.json"), " ");
+    await fs.rm(path.join(outDir, "routes.json"));
+    await fs.writeFile(path.join(outDir, "stray.json"), "{}");
+    assert.deepEqual(await verifyCompiledDir(outDir, manifest), {
+      missing: ["routes.json"],
+      mismatched: ["events.json"],
+      unexpected: ["stray.json"],
+      ok: false,
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { applySelection } = require("../scripts/lib/eventSelection.js");
+
+const events = [
+  { event_id: "SUC-030", type: "race", event_date: "2026-01-03" },
+  { event_id: "SUC-031", type: "training-run", event_date: "2026-01-10" },
+  { event_id: "SUC-035", type: "training-run", event_date: "2026-02-07" },
+  {
+    event_id: "SUC-036",
+    type: "training-run",
+    event_date: "2026-02-14",
+    publish: false,
+  },
+  {
+    event_id: "CREW-WED-2026-02-11",
+    series_id: "CREW-WED",
+    type: "crew-run",
+    event_date: "2026-02-11",
+  },
+  {
+    event_id: "CREW-WED-2026-04-15",
+    series_id: "CREW-WED",
+    type: "crew-run",
+    event_date: "2026-04-15",
+  },
+];
+
+const options = {
+  today: "2026-02-05",
+  startDateOf: (event) => event.event_date,
+};
+
+const ids = ({ selected }) => selected.map((event) => event.event_id);
+
+test("keeps version 1 id lists working", () => {
+  const result = applySelection(
+    events,
+    { version: 1, selectedEventIds: ["SUC-031", "SUC-035"] },
+    options,
+  );
+  assert.deepEqual(ids(result), ["SUC-031", "SUC-035"]);
+  assert.deepEqual(result.include, ["SUC-031", "SUC-035"]);
+});
+
+test("selects by date window and type relative to the build date", () => {
+  assert.deepEqual(
+    ids(
+      applySelection(
+        events,
+        { version: 2, window: { pastDays: 7, futureDays: 14 } },
+        options,
+      ),
+    ),
+    ["SUC-035", "CREW-WED-2026-02-11"],
+  );
+  assert.deepEqual(
+    ids(
+      applySelection(
+        events,
+        { version: 2, window: { futureDays: 30 }, types: ["crew-run"] },
+        options,
+      ),
+    ),
+    ["CREW-WED-2026-02-11"],
+  );
+});
+
+test("applies includes and excludes on top of the rules", () => {
+  const result = applySelection(
+    events,
+    {
+      version: 2,
+      types: ["crew-run", "race"],
+      include: ["SUC-031"],
+      exclude: ["SUC-030", "CREW-WED-2026-04-15"],
+    },
+    options,
+  );
+  assert.deepEqual(ids(result), ["SUC-031", "CREW-WED-2026-02-11"]);
+  assert.deepEqual(
+    ids(applySelection(events, { version: 2, include: ["CREW-WED"] }, options)),
+    ["CREW-WED-2026-02-11", "CREW-WED-2026-04-15"],
+  );
+});
+
+test("never selects events with publish: false", () => {
+  const result = applySelection(
+    events,
+    { version: 2, window: { pastDays: 30 }, include: ["SUC-036"] },
+    options,
+  );
+  assert.ok(!ids(result).includes("SUC-036"));
+  assert.deepEqual(
+    result.unpublished.map((event) => event.event_id),
+    ["SUC-036"],
+  );
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { COLLECTIONS } = require("../scripts/lib/collections.js");
+const { feedEntry, feedFiles } = require("../scripts/lib/feeds.js");
+
+const training = COLLECTIONS.find((entry) => entry.name === "training");
+const siteUrl = "https://suc.example";
+
+const files = feedFiles({
+  path: "feeds/training/index",
+  title: "SUC training content",
+  description: "Published training content from SUC",
+  homePath: "/training",
+  siteUrl,
+  entries: [
+    {
+      id: "older",
+      title: "Older <tip>",
+      summary: "First",
+      bodyHtml: "<p>One</p>",
+      publishedAt: "2026-01-01T08:00:00Z",
+      topics: ["heat"],
+    },
+    {
+      id: "newer",
+      title: "Newer tip",
+      summary: "Second",
+      publishedAt: "2026-02-01T08:00:00Z",
+      topics: [],
+    },
+  ].map((item) => feedEntry(training, item, siteUrl)),
+});
+
+test("feeds are written in all three formats", () => {
+  assert.deepEqual(Object.keys(files), [
+    "feeds/training/index.rss.xml",
+    "feeds/training/index.atom.xml",
+    "feeds/training/index.feed.json",
+  ]);
+});
+
+test("entries are newest first with GUIDs derived from item ids", () => {
+  const json = JSON.parse(files["feeds/training/index.feed.json"]);
+  assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+  assert.deepEqual(
+    json.items.map((item) => [item.id, item.url, item.date_published]),
+    [
+      [
+        "urn:suc:training:newer",
+        "https://suc.example/training/newer",
+        "2026-02-01T08:00:00.000Z",
+      ],
+      [
+        "urn:suc:training:older",
+        "https://suc.example/training/older",
+        "2026-01-01T08:00:00.000Z",
+      ],
+    ],
+  );
+  const atom = files["feeds/training/index.atom.xml"];
+  assert.match(atom, /<updated>2026-02-01T08:00:00.000Z<\/updated>/);
+  assert.ok(
+    atom.indexOf("urn:suc:training:newer") <
+      atom.indexOf("urn:suc:training:older"),
+  );
+});
+
+test("XML feeds escape titles and embedded HTML", () => {
+  const rss = files["feeds/training/index.rss.xml"];
+  assert.match(rss, /<title>Older &lt;tip&gt;<\/title>/);
+  assert.match(
+    rss,
+    /<content:encoded>&lt;p&gt;One&lt;\/p&gt;<\/content:encoded>/,
+  );
+  assert.match(rss, /<guid isPermaLink="false">urn:suc:training:older<\/guid>/);
+});
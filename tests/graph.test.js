@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildGraph,
+  filterGraph,
+  relatedFor,
+  toIsoDate,
+} = require("../scripts/lib/graph.js");
+
+const graph = buildGraph({
+  events: [
+    {
+      id: "SUC-035",
+      name: "SUC 035 Salmon Simulator",
+      date: "Feb 7 2026",
+      routeGroupIds: ["SUC-035", "SUC-404"],
+    },
+  ],
+  routeGroups: [{ id: "SUC-035", name: "Salmon Simulator", variants: ["MED"] }],
+  crewRunRecaps: [
+    {
+      id: "recap-1",
+      eventName: "SUC 035 Salmon Simulator",
+      eventDate: "2026-02-07",
+      routeId: "SUC-035-MED",
+      tier: "public",
+    },
+  ],
+  raceRecaps: [{ id: "race-1", raceName: "Canyon Ridge 50K", tier: "team" }],
+  weeks: [
+    {
+      id: "week-1",
+      title: "Week 1",
+      eventIds: ["SUC-035", "SUC-999"],
+      eventRoles: { "SUC-035": "simulation" },
+    },
+  ],
+});
+
+test("parses ISO and named event dates", () => {
+  assert.equal(toIsoDate("Feb 7 2026"), "2026-02-07");
+  assert.equal(toIsoDate("2026-02-07T08:00:00Z"), "2026-02-07");
+  assert.equal(toIsoDate("next week"), null);
+});
+
+test("links an event to its route groups, recaps and weeks", () => {
+  assert.deepEqual(
+    relatedFor(graph, "event:SUC-035").map((entry) => [
+      entry.kind,
+      entry.id,
+      entry.via,
+    ]),
+    [
+      ["route-group", "SUC-035", "route_group_ids"],
+      ["crew-run-recap", "recap-1", "eventName"],
+      ["week", "week-1", "eventIds"],
+    ],
+  );
+  const week = relatedFor(graph, "week:week-1")[0];
+  assert.equal(week.role, "simulation");
+  assert.equal(week.url, "/events/SUC-035");
+  assert.deepEqual(
+    relatedFor(graph, "crew-run-recap:recap-1").map((entry) => entry.id),
+    ["SUC-035", "SUC-035"],
+  );
+});
+
+test("reports references that do not resolve", () => {
+  assert.deepEqual(
+    graph.unresolved.map(({ from, via, value, severity }) => [
+      from,
+      via,
+      value,
+      severity,
+    ]),
+    [
+      ["event:SUC-035", "route_group_ids", "SUC-404", "warning"],
+      ["race-recap:race-1", "raceName", "Canyon Ridge 50K", "info"],
+      ["week:week-1", "eventIds", "SUC-999", "warning"],
+    ],
+  );
+});
+
+test("audience graphs keep only nodes of their tiers", () => {
+  const publicGraph = filterGraph(graph, ["public"]);
+  assert.ok(publicGraph.nodes.every((node) => node.tier === "public"));
+  assert.ok(!publicGraph.edges.some((edge) => edge.from === "week:week-1"));
+  assert.equal(publicGraph.edges.length, 3);
+});
+
+test("keeps unpublished events and weeks out of public related blocks", () => {
+  const linked = buildGraph({
+    events: [
+      { id: "SUC-035", name: "Salmon Simulator" },
+      { id: "SUC-040", name: "Secret Loop", publish: false },
+    ],
+    routeGroups: [],
+    weeks: [
+      { id: "week-1", title: "Week 1", eventIds: ["SUC-035", "SUC-040"] },
+    ],
+  });
+  assert.deepEqual(
+    linked.nodes.map((node) => [node.key, node.tier]),
+    [
+      ["event:SUC-035", "public"],
+      ["event:SUC-040", "team"],
+      ["week:week-1", "team"],
+    ],
+  );
+  assert.deepEqual(relatedFor(linked, "event:SUC-035", ["public"]), []);
+  assert.deepEqual(
+    relatedFor(linked, "week:week-1", ["public"]).map((entry) => entry.id),
+    ["SUC-035"],
+  );
+});
@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseEventDate,
+  parseEventStart,
+  parseEventTime,
+  toZonedIso,
+  zonedTimeToDate,
+} = require("../scripts/lib/eventTime.js");
+const { foldLine, renderCalendar } = require("../scripts/lib/icalendar.js");
+const { resolveSeasonPlan } = require("../scripts/lib/trainingPlan.js");
+
+test("parses event dates and times as written in events.master.json", () => {
+  assert.equal(parseEventDate("Feb 14 2026"), "2026-02-14");
+  assert.equal(parseEventDate("2026-02-14"), "2026-02-14");
+  assert.equal(parseEventDate("Feb 30 2026"), null);
+  assert.equal(parseEventTime("8:15 AM"), "08:15");
+  assert.equal(parseEventTime("12:05 pm"), "12:05");
+  assert.equal(parseEventTime("13:00 PM"), null);
+  assert.equal(
+    zonedTimeToDate("2026-02-14", "08:15").toISOString(),
+    "2026-02-14T16:15:00.000Z",
+  );
+  assert.equal(
+    zonedTimeToDate("2026-07-04", "08:15").toISOString(),
+    "2026-07-04T15:15:00.000Z",
+  );
+});
+
+test("normalizes event starts to zoned ISO datetimes", () => {
+  assert.equal(toZonedIso("2026-02-14", "08:15"), "2026-02-14T08:15:00-08:00");
+  assert.equal(toZonedIso("2026-07-04", "19:00"), "2026-07-04T19:00:00-07:00");
+  assert.deepEqual(parseEventStart("Feb 7 2026", "7:15 AM"), {
+    date: "2026-02-07",
+    time: "07:15",
+    startsAt: "2026-02-07T07:15:00-08:00",
+  });
+  assert.deepEqual(parseEventStart("2026-02-07"), {
+    date: "2026-02-07",
+    time: null,
+    startsAt: null,
+  });
+  assert.match(parseEventStart("Feb 7", "7:15 AM").error, /event_date "Feb 7"/);
+  assert.match(parseEventStart(undefined).error, /event_date is missing/);
+  assert.match(
+    parseEventStart("Feb 7 2026", "quarter past seven").error,
+    /event_time/,
+  );
+});
+
+test("renders timed events with the Los Angeles time zone", () => {
+  const ics = renderCalendar({
+    name: "SUC events",
+    timeZones: ["America/Los_Angeles"],
+    entries: [
+      {
+        uid: "event-SUC-036@suc",
+        stamp: new Date("2026-02-14T16:15:00Z"),
+        start: {
+          date: "2026-02-14",
+          time: "08:15",
+          timeZone: "America/Los_Angeles",
+        },
+        duration: "PT2H",
+        summary: "Big climbs, big day; bring layers",
+        geo: { lat: 38.58, lng: -121.49 },
+      },
+    ],
+  });
+  const lines = ics.split("\r\n");
+  assert.ok(lines.includes("TZID:America/Los_Angeles"));
+  assert.ok(lines.includes("DTSTART;TZID=America/Los_Angeles:20260214T081500"));
+  assert.ok(lines.includes("SUMMARY:Big climbs\\, big day\\; bring layers"));
+  assert.ok(lines.includes("GEO:38.58;-121.49"));
+  assert.ok(lines.includes("SEQUENCE:0"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+});
+
+test("folds long lines at 75 octets", () => {
+  const folded = foldLine(`DESCRIPTION:${"x".repeat(100)}`).split("\r\n");
+  assert.equal(folded[0].length, 75);
+  assert.ok(folded[1].startsWith(" "));
+  assert.equal(folded.join("").replace(/ /g, "").length, 112);
+});
+
+test("resolves each day's workouts per slot through the calendar selectors", () => {
+  const day = (...workoutIds) => ({ workoutIds });
+  const season = {
+    seasonId: "season-1",
+    status: "published",
+    startDate: "2026-02-02",
+    blocks: [
+      {
+        blockId: "block-1",
+        name: "Base",
+        weeks: [
+          {
+            weekId: "week-1",
+            days: {
+              mon: day("run"),
+              tue: day("run", "strength"),
+              wed: day("run@v3"),
+              thu: day("missing"),
+              fri: {},
+              sat: day(),
+              sun: day(),
+            },
+          },
+        ],
+      },
+    ],
+  };
+  const workouts = [
+    {
+      workoutId: "run",
+      version: 1,
+      status: "published",
+      name: "Easy",
+      tiers: { MED: { name: "Easy MED" } },
+    },
+    { workoutId: "run", version: 2, status: "draft", name: "Draft", tiers: {} },
+    {
+      workoutId: "run",
+      version: 3,
+      status: "archived",
+      name: "Retired",
+      tiers: {},
+    },
+    {
+      workoutId: "strength",
+      version: 1,
+      status: "published",
+      name: "Strength",
+      tiers: {},
+    },
+  ];
+
+  const { days, unresolved } = resolveSeasonPlan(season, workouts);
+  assert.deepEqual(
+    days.map((entry) => [
+      entry.date,
+      entry.slot,
+      entry.workout.name,
+      entry.tiers.XL.name,
+    ]),
+    [
+      ["2026-02-02", 0, "Easy", "Easy MED"],
+      ["2026-02-03", 0, "Easy", "Easy MED"],
+      ["2026-02-03", 1, "Strength", "Strength"],
+      ["2026-02-04", 0, "Retired", "Retired"],
+    ],
+  );
+  assert.deepEqual(unresolved, ["missing"]);
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  checkImmutability,
+  collectPlanEntities,
+  formatViolation,
+} = require("../scripts/lib/immutability.js");
+
+const stamp = "2026-02-01T00:00:00Z";
+const entity = (id, fields) => ({
+  id,
+  title: id,
+  status: "published",
+  createdAt: stamp,
+  updatedAt: stamp,
+  ...fields,
+});
+
+function snapshot(files) {
+  const source = {
+    list: (dir) =>
+      Object.keys(files)
+        .filter((file) => file.startsWith(`${dir}/`))
+        .map((file) => file.slice(dir.length + 1)),
+    read: (relPath) =>
+      relPath in files ? JSON.stringify(files[relPath]) : null,
+  };
+  return collectPlanEntities(source);
+}
+
+const base = {
+  "seasons/season.one.json": entity("season-1", { blocks: ["block-1"] }),
+  "blocks/block.one.json": entity("block-1", { weeks: ["week-1"] }),
+  "weeks/week.one.json": entity("week-1", {
+    status: "draft",
+    focus: "base",
+    workouts: ["workout-easy"],
+  }),
+  "weeks/week.two.json": entity("week-2", { status: "draft", focus: null }),
+  "workouts/workout.easy.json": entity("workout-easy", { status: "draft" }),
+  "seasons/seasons.master.json": {
+    seasons: [
+      {
+        seasonId: "season-1",
+        status: "archived",
+        blocks: [
+          {
+            blockId: "block-1",
+            weeks: [
+              { weekId: "week-1", days: { mon: { workoutIds: ["easy@v1"] } } },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+  "workouts/workouts.master.json": {
+    workouts: [
+      { workoutId: "easy", version: 1, status: "draft", name: "Easy" },
+      { workoutId: "easy", version: 2, status: "draft", name: "Easy" },
+    ],
+  },
+};
+
+const messages = (head) =>
+  checkImmutability(snapshot(base), snapshot(head)).map(formatViolation);
+
+test("accepts an unchanged tree, draft edits and forward status changes", () => {
+  assert.deepEqual(messages(base), []);
+  assert.deepEqual(
+    messages({
+      ...base,
+      "seasons/season.one.json": entity("season-1", {
+        status: "archived",
+        updatedAt: "2026-03-01T00:00:00Z",
+        blocks: ["block-1"],
+      }),
+      "weeks/week.two.json": entity("week-2", { focus: "speed" }),
+      "workouts/workouts.master.json": {
+        workouts: [base["workouts/workouts.master.json"].workouts[0]],
+      },
+    }),
+    [],
+  );
+});
+
+test("names each field changed on frozen entities and their references", () => {
+  const [season] = base["seasons/seasons.master.json"].seasons;
+  const pinned = structuredClone(season);
+  pinned.blocks[0].weeks[0].days.mon.workoutIds = ["easy@v2"];
+  assert.deepEqual(
+    messages({
+      ...base,
+      "blocks/block.one.json": entity("block-1", {
+        weeks: ["week-1", "week-2"],
+      }),
+      "weeks/week.one.json": entity("week-1", {
+        status: "draft",
+        focus: "speed",
+        workouts: ["workout-easy"],
+      }),
+      "seasons/seasons.master.json": { seasons: [pinned] },
+      "workouts/workouts.master.json": {
+        workouts: [
+          { workoutId: "easy", version: 1, status: "draft", name: "Easy 2" },
+        ],
+      },
+    }),
+    [
+      'block block-1 (blocks/block.one.json, published) weeks[1] changed from (none) to "week-2"',
+      'week week-1 (weeks/week.one.json, referenced by block block-1) focus changed from "base" to "speed"',
+      'workout version easy@v1 (workouts/workouts.master.json, referenced by season season-1) name changed from "Easy" to "Easy 2"',
+      'season season-1 (seasons/seasons.master.json, archived) blocks[0].weeks[0].days.mon.workoutIds[0] changed from "easy@v1" to "easy@v2"',
+    ],
+  );
+});
+
+test("rejects deleting frozen entities and moving status backwards", () => {
+  const head = { ...base };
+  delete head["workouts/workout.easy.json"];
+  head["seasons/season.one.json"] = entity("season-1", {
+    status: "draft",
+    blocks: ["block-1"],
+  });
+  head["weeks/week.two.json"] = entity("week-2", {
+    status: "archived",
+    focus: null,
+  });
+  assert.deepEqual(messages(head), [
+    "season season-1 (seasons/season.one.json, published) cannot change status from published to draft",
+    "week week-2 (weeks/week.two.json, draft) cannot change status from draft to archived",
+    "workout workout-easy (workouts/workout.easy.json, referenced by week week-1) was deleted",
+  ]);
+});
+
+test("lets unreferenced published workouts be edited in place", () => {
+  const library = {
+    ...base,
+    "workouts/workout.tempo.json": entity("workout-tempo", {
+      description: "Tempo",
+    }),
+    "workouts/workouts.master.json": {
+      workouts: [
+        ...base["workouts/workouts.master.json"].workouts,
+        { workoutId: "tempo", version: 1, status: "published", coachNotes: "" },
+      ],
+    },
+  };
+  const edited = {
+    ...library,
+    "workouts/workout.tempo.json": entity("workout-tempo", {
+      description: "Tempo, steady",
+    }),
+    "workouts/workouts.master.json": {
+      workouts: [
+        ...base["workouts/workouts.master.json"].workouts,
+        {
+          workoutId: "tempo",
+          version: 1,
+          status: "published",
+          coachNotes: "Stay relaxed",
+        },
+      ],
+    },
+  };
+  assert.deepEqual(checkImmutability(snapshot(library), snapshot(edited)), []);
+});
+
+test("rejects statuses outside the lifecycle", () => {
+  const unstated = entity("week-2", { focus: null });
+  delete unstated.status;
+  assert.deepEqual(
+    messages({
+      ...base,
+      "seasons/season.one.json": entity("season-1", {
+        status: "paused",
+        blocks: ["block-1"],
+      }),
+      "weeks/week.two.json": unstated,
+    }),
+    [
+      "season season-1 (seasons/season.one.json, published) cannot change status from published to paused",
+      "week week-2 (weeks/week.two.json, draft) cannot change status from draft to (none)",
+    ],
+  );
+});
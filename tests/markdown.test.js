@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { renderMarkdown } = require("../scripts/lib/markdown.js");
+
+test("renders headings, lists and inline markup with an outline", () => {
+  const result = renderMarkdown(
+    [
+      "# Heat Training",
+      "",
+      "Build **tolerance** slowly.",
+      "",
+      "## The Science",
+      "",
+      "1. *Start* easy",
+      "2. Add `10` minutes",
+      "",
+      "## The Science",
+    ].join("\n"),
+  );
+
+  assert.equal(
+    result.html,
+    [
+      '<h1 id="heat-training">Heat Training</h1>',
+      "<p>Build <strong>tolerance</strong> slowly.</p>",
+      '<h2 id="the-science">The Science</h2>',
+      "<ol>",
+      "<li><em>Start</em> easy</li>",
+      "<li>Add <code>10</code> minutes</li>",
+      "</ol>",
+      '<h2 id="the-science-2">The Science</h2>',
+    ].join("\n"),
+  );
+  assert.deepEqual(result.outline, [
+    { level: 1, text: "Heat Training", id: "heat-training" },
+    { level: 2, text: "The Science", id: "the-science" },
+    { level: 2, text: "The Science", id: "the-science-2" },
+  ]);
+  assert.equal(result.wordCount, 14);
+  assert.equal(result.readingTimeMinutes, 1);
+});
+
+test("escapes raw HTML and drops unsafe link targets", () => {
+  const { html } = renderMarkdown(
+    '<img src=x onerror="alert(1)"> [ok](https://suc.example/a?b=1&c=2) [bad](javascript:void)',
+  );
+  assert.equal(
+    html,
+    '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; <a href="https://suc.example/a?b=1&amp;c=2">ok</a> bad</p>',
+  );
+});
+
+test("empty bodies have no words and no reading time", () => {
+  assert.deepEqual(renderMarkdown(""), {
+    html: "",
+    outline: [],
+    wordCount: 0,
+    readingTimeMinutes: 0,
+  });
+});
@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const { migrateCanonical } = require("../scripts/lib/migrateCanonical.js");
+const { createSchemaValidator } = require("../scripts/lib/schemaValidation.js");
+
+const now = new Date("2026-03-01T00:00:00Z");
+const stamp = "2026-03-01T00:00:00.000Z";
+const workoutIds = new Set(["workout-easy", "workout-hills"]);
+const empty = () => ({ season: new Map(), block: new Map(), week: new Map() });
+
+const legacy = {
+  seasons: [
+    {
+      id: "season-legacy",
+      seasonId: "season-legacy",
+      name: "Legacy",
+      startDate: "2026-01-26",
+      weekIds: ["week-a", "week-b"],
+    },
+  ],
+  blocks: [
+    {
+      id: "block-legacy",
+      blockId: "block-legacy",
+      name: "Base",
+      intent: "Aerobic base",
+      weekIds: ["week-a", "week-b"],
+    },
+  ],
+  weeks: [
+    {
+      id: "week-a",
+      weekId: "week-a",
+      startDate: "2026-01-26",
+      workouts: { mon: "workout-easy@v1", wed: null, sat: "workout-gone@v2" },
+    },
+    { id: "week-b", weekId: "week-b", workouts: { mon: null } },
+  ],
+};
+
+const master = {
+  seasons: [
+    {
+      seasonId: "season-master",
+      status: "published",
+      startDate: "2026-02-02",
+      blocks: [
+        {
+          blockId: "block-master",
+          name: "Build",
+          tags: ["build"],
+          weeks: [
+            {
+              weekId: "week-c",
+              focus: "ultra",
+              stress: "med-high",
+              volume: "very-high",
+              intensity: "med",
+              eventIds: ["SUC-035"],
+              eventRoles: { "SUC-035": "simulation" },
+              days: {
+                tue: { workoutIds: ["workout-hills@v2"] },
+                mon: { workoutIds: ["workout-easy", "workout-hills"] },
+              },
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+function existingFrom(writes) {
+  const existing = empty();
+  for (const { file, data } of writes) {
+    existing[path.basename(file).split(".")[0]].set(data.id, { file, data });
+  }
+  return existing;
+}
+
+test("converts legacy and nested seasons into schema-valid v2 entities", () => {
+  const { writes, report } = migrateCanonical(
+    { legacy, master },
+    { existing: empty(), workoutIds, now },
+  );
+  const validator = createSchemaValidator(path.resolve(__dirname, ".."));
+  for (const { file, data } of writes) {
+    const kind = path.basename(file).split(".")[0];
+    validator.validate(data, { file, schema: `schemas/${kind}.schema.json` });
+  }
+
+  const byFile = new Map(writes.map(({ file, data }) => [file, data]));
+  assert.deepEqual(byFile.get("weeks/week.week-a.json"), {
+    id: "week-a",
+    title: "week-a",
+    status: "draft",
+    createdAt: stamp,
+    updatedAt: stamp,
+    focus: null,
+    stress: "med",
+    volume: "med",
+    intensity: "med",
+    workouts: ["workout-easy"],
+  });
+  assert.deepEqual(byFile.get("weeks/week.week-c.json"), {
+    id: "week-c",
+    title: "week-c",
+    status: "published",
+    createdAt: stamp,
+    updatedAt: stamp,
+    focus: "ultra",
+    stress: "med-high",
+    volume: "high",
+    intensity: "med",
+    workouts: ["workout-easy", "workout-hills", "workout-hills"],
+    eventIds: ["SUC-035"],
+    eventRoles: { "SUC-035": "simulation" },
+  });
+  assert.deepEqual(byFile.get("blocks/block.block-legacy.json").weeks, [
+    "week-a",
+  ]);
+  assert.equal(
+    byFile.get("blocks/block.block-legacy.json").description,
+    "Aerobic base",
+  );
+  assert.deepEqual(byFile.get("seasons/season.season-master.json"), {
+    id: "season-master",
+    title: "season-master",
+    status: "published",
+    createdAt: stamp,
+    updatedAt: stamp,
+    blocks: ["block-master"],
+    startDate: "2026-02-02",
+  });
+
+  assert.deepEqual(report.counts, { migrated: 6, conflict: 0, skipped: 1 });
+  const weekB = report.entities.find((entry) => entry.id === "week-b");
+  assert.equal(weekB.result, "skipped");
+  assert.equal(
+    weekB.notes.at(-1),
+    "no workouts left; v2 weeks need at least one",
+  );
+  const weekA = report.entities.find((entry) => entry.id === "week-a");
+  assert.ok(
+    weekA.notes.includes("workout workout-gone is not in workouts/, dropped"),
+  );
+});
+
+test("is idempotent and keeps v2 files that were edited since", () => {
+  const first = migrateCanonical(
+    { legacy, master },
+    { existing: empty(), workoutIds, now },
+  );
+  const existing = existingFrom(first.writes);
+  const again = migrateCanonical(
+    { legacy, master },
+    { existing, workoutIds, now: new Date("2026-04-01T00:00:00Z") },
+  );
+  assert.deepEqual(again.writes, []);
+  assert.deepEqual(again.report, first.report);
+
+  existing.week.get("week-c").data = {
+    ...existing.week.get("week-c").data,
+    workouts: ["workout-easy"],
+  };
+  const edited = migrateCanonical(
+    { legacy, master },
+    { existing, workoutIds, now },
+  );
+  const weekC = edited.report.entities.find((entry) => entry.id === "week-c");
+  assert.equal(weekC.result, "conflict");
+  assert.deepEqual(weekC.notes, [
+    'volume "very-high" mapped to "high"',
+    "existing v2 file differs in workouts, kept",
+  ]);
+  assert.deepEqual(edited.writes, []);
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { resolvePlan } = require("../scripts/lib/plans.js");
+
+const stamp = "2026-02-01T00:00:00Z";
+const entity = (id, fields) => ({
+  id,
+  title: id,
+  status: "published",
+  createdAt: stamp,
+  updatedAt: stamp,
+  file: `${id}.json`,
+  ...fields,
+});
+const byId = (...entities) =>
+  new Map(entities.map((candidate) => [candidate.id, candidate]));
+
+const season = entity("season-1", {
+  startDate: "2026-02-02",
+  blocks: ["block-base", "block-gone"],
+});
+const entities = {
+  blocks: byId(
+    entity("block-base", {
+      tags: ["base"],
+      stress: "med",
+      weeks: ["week-1", "week-draft", "week-3"],
+    }),
+  ),
+  weeks: byId(
+    entity("week-1", {
+      focus: "ultra",
+      stress: "med-high",
+      volume: "high",
+      intensity: "med",
+      eventIds: ["SUC-035", "SUC-999"],
+      eventRoles: { "SUC-035": "simulation" },
+      workouts: ["workout-easy", "workout-missing"],
+    }),
+    entity("week-draft", { status: "draft", workouts: ["workout-easy"] }),
+    entity("week-3", {
+      focus: null,
+      stress: "low",
+      volume: "low",
+      intensity: "low",
+      workouts: ["workout-easy"],
+    }),
+  ),
+  workouts: byId(
+    entity("workout-easy", {
+      type: "run",
+      description: "Conversational aerobic run.",
+      duration: 45,
+      steps: [{ label: "Main", details: "45 min easy" }],
+    }),
+  ),
+  events: new Map([
+    [
+      "SUC-035",
+      {
+        eventName: "SUC 035 Salmon Simulator",
+        startDate: "2026-02-07",
+        startsAt: "2026-02-07T07:15:00-08:00",
+      },
+    ],
+  ]),
+};
+
+test("resolves a season into dated weeks with signals, events and workouts", () => {
+  const { plan, files } = resolvePlan(season, entities);
+  assert.equal(plan.seasonId, "season-1");
+  assert.equal(plan.startDate, "2026-02-02");
+  assert.equal(plan.endDate, "2026-02-22");
+  assert.equal(plan.weekCount, 3);
+
+  const [block] = plan.blocks;
+  assert.equal(block.blockId, "block-base");
+  assert.equal(block.stress, "med");
+  assert.deepEqual(
+    block.weeks.map((week) => [week.weekId, week.weekNumber, week.startDate]),
+    [
+      ["week-1", 1, "2026-02-02"],
+      ["week-3", 3, "2026-02-16"],
+    ],
+  );
+
+  const [week] = block.weeks;
+  assert.deepEqual(
+    [week.focus, week.stress, week.volume, week.intensity],
+    ["ultra", "med-high", "high", "med"],
+  );
+  assert.deepEqual(week.events, [
+    {
+      eventId: "SUC-035",
+      role: "simulation",
+      eventName: "SUC 035 Salmon Simulator",
+      startDate: "2026-02-07",
+      startsAt: "2026-02-07T07:15:00-08:00",
+    },
+    {
+      eventId: "SUC-999",
+      role: null,
+      eventName: null,
+      startDate: null,
+      startsAt: null,
+    },
+  ]);
+  assert.deepEqual(week.workouts, [
+    {
+      workoutId: "workout-easy",
+      title: "workout-easy",
+      updatedAt: stamp,
+      type: "run",
+      description: "Conversational aerobic run.",
+      duration: 45,
+      steps: [{ label: "Main", details: "45 min easy" }],
+    },
+  ]);
+  assert.ok(!("eventIds" in week) && !("status" in week));
+  assert.deepEqual(files, [
+    "block-base.json",
+    "season-1.json",
+    "week-1.json",
+    "week-3.json",
+    "workout-easy.json",
+  ]);
+});
+
+test("reports missing and draft references and leaves them out", () => {
+  const { problems } = resolvePlan(season, entities);
+  assert.deepEqual(problems, [
+    {
+      code: "missing",
+      kind: "workout",
+      id: "workout-missing",
+      from: "week week-1",
+    },
+    { code: "draft", kind: "week", id: "week-draft", from: "block block-base" },
+    {
+      code: "missing",
+      kind: "block",
+      id: "block-gone",
+      from: "season season-1",
+    },
+  ]);
+});
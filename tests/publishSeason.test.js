@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { publishSeason } = require("../scripts/lib/publishSeason.js");
+const { resolveSeasonPlan } = require("../scripts/lib/trainingPlan.js");
+
+const now = new Date("2026-03-01T12:00:00Z");
+const workout = (workoutId, version, fields) => ({
+  workoutId,
+  version,
+  status: "published",
+  createdAt: "2026-01-01T00:00:00Z",
+  updatedAt: "2026-01-05T00:00:00Z",
+  publishedAt: "2026-01-05T00:00:00Z",
+  name: `${workoutId} v${version}`,
+  tiers: { MED: { name: `${workoutId} v${version} MED` } },
+  ...fields,
+});
+const season = (days, fields) => ({
+  seasonId: "season-1",
+  status: "draft",
+  blocks: [
+    { blockId: "block-1", name: "Base", weeks: [{ weekId: "week-1", days }] },
+  ],
+  ...fields,
+});
+
+const workouts = [
+  workout("easy", 1),
+  workout("easy", 2),
+  workout("tempo", 1, { updatedAt: "2026-02-10T00:00:00Z" }),
+  workout("hills", 1),
+  workout("hills", 2, { status: "draft" }),
+  workout("old", 1, { status: "archived" }),
+];
+
+test("pins every reference to its latest published version", () => {
+  const result = publishSeason(
+    {
+      seasons: [
+        season({
+          mon: { workoutIds: ["easy"] },
+          wed: { workoutIds: ["easy@v1"] },
+        }),
+      ],
+      workouts,
+    },
+    "season-1",
+    { now, startDate: "2026-03-02" },
+  );
+  const [published] = result.seasons;
+  assert.equal(published.status, "published");
+  assert.equal(published.startDate, "2026-03-02");
+  assert.equal(published.publishedAt, "2026-03-01T12:00:00.000Z");
+  assert.deepEqual(published.blocks[0].weeks[0].days, {
+    mon: { workoutIds: ["easy@v2"] },
+    wed: { workoutIds: ["easy@v1"] },
+  });
+  assert.deepEqual(result.pins, [
+    { weekId: "week-1", day: "mon", from: "easy", to: "easy@v2" },
+  ]);
+  assert.deepEqual(result.created, []);
+  assert.equal(result.workouts.length, workouts.length);
+
+  const { days } = resolveSeasonPlan(published, result.workouts);
+  assert.deepEqual(
+    days.map((entry) => [entry.date, entry.workout.name]),
+    [
+      ["2026-03-02", "easy v2"],
+      ["2026-03-04", "easy v1"],
+    ],
+  );
+});
+
+test("freezes a drifted library copy as a new version", () => {
+  const result = publishSeason(
+    {
+      seasons: [
+        season({ tue: { workoutIds: ["tempo"] } }, { startDate: "2026-03-02" }),
+      ],
+      workouts,
+    },
+    "season-1",
+    { now },
+  );
+  assert.deepEqual(result.created, ["tempo@v2"]);
+  assert.deepEqual(result.seasons[0].blocks[0].weeks[0].days.tue, {
+    workoutIds: ["tempo@v2"],
+  });
+  assert.deepEqual(result.workouts.at(-1), {
+    ...workouts[2],
+    version: 2,
+    updatedAt: "2026-03-01T12:00:00.000Z",
+    publishedAt: "2026-03-01T12:00:00.000Z",
+  });
+  assert.equal(workouts.length, 6);
+});
+
+test("refuses drafts, missing workouts and seasons that are not drafts", () => {
+  const days = {
+    mon: { workoutIds: ["hills"] },
+    tue: { workoutIds: ["old", "gone"] },
+    thu: { workoutIds: ["hills@v2"] },
+  };
+  assert.throws(
+    () =>
+      publishSeason({ seasons: [season(days)], workouts }, "season-1", { now }),
+    (error) => {
+      assert.equal(
+        error.message,
+        [
+          "Season season-1 cannot be published:",
+          "  season has no startDate",
+          "  week week-1 mon: workout hills is still a draft (v2)",
+          "  week week-1 tue: workout old has no published version",
+          "  week week-1 tue: workout gone does not exist",
+          "  week week-1 thu: hills@v2 is draft",
+        ].join("\n"),
+      );
+      return true;
+    },
+  );
+  assert.throws(
+    () =>
+      publishSeason(
+        {
+          seasons: [
+            season({}, { status: "published", startDate: "2026-03-02" }),
+          ],
+          workouts,
+        },
+        "season-1",
+        { now },
+      ),
+    /season is published, not draft/,
+  );
+  assert.throws(
+    () => publishSeason({ seasons: [], workouts }, "season-1"),
+    /Season season-1 is not in seasons\.master\.json/,
+  );
+});
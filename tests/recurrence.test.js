@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { expandRecurringEvent } = require("../scripts/lib/recurrence.js");
+
+const crewRun = {
+  event_id: "CREW-WED",
+  event_name: "Wednesday crew run",
+  event_description: "Easy loop from the shop.",
+  event_date: "Mar 4 2026",
+  event_time: "6:00 PM",
+  route_group_ids: ["SUC-035"],
+};
+
+const dates = ({ occurrences }) =>
+  occurrences.map((occurrence) => occurrence.event_date);
+
+test("expands a weekly series through the horizon with derived ids", () => {
+  const expanded = expandRecurringEvent(
+    { ...crewRun, recurring: { frequency: "weekly" } },
+    { through: "2026-03-25" },
+  );
+  assert.deepEqual(dates(expanded), [
+    "2026-03-04",
+    "2026-03-11",
+    "2026-03-18",
+    "2026-03-25",
+  ]);
+  const [first] = expanded.occurrences;
+  assert.equal(first.event_id, "CREW-WED-2026-03-04");
+  assert.equal(first.series_id, "CREW-WED");
+  assert.equal(first.event_time, "6:00 PM");
+  assert.equal("recurring" in first, false);
+});
+
+test("starts an older series at the lookback instead of its first date", () => {
+  const expanded = expandRecurringEvent(
+    {
+      ...crewRun,
+      recurring: { frequency: "weekly", exceptions: ["2026-03-11"] },
+    },
+    { from: "2026-03-10", through: "2026-03-25" },
+  );
+  assert.deepEqual(dates(expanded), ["2026-03-18", "2026-03-25"]);
+  assert.deepEqual(expanded.unmatched, []);
+});
+
+test("applies interval, weekdays, until, exceptions and overrides", () => {
+  const expanded = expandRecurringEvent(
+    {
+      ...crewRun,
+      recurring: {
+        frequency: "weekly",
+        interval: 2,
+        weekdays: ["wed", "sat"],
+        until: "2026-04-04",
+        exceptions: ["2026-03-18"],
+        overrides: {
+          "2026-03-21": {
+            route_group_ids: ["SUC-036"],
+            event_description: "Hill repeats instead.",
+          },
+          "2026-03-22": { event_description: "Not a crew run day." },
+        },
+      },
+    },
+    { through: "2026-12-31" },
+  );
+  assert.deepEqual(dates(expanded), [
+    "2026-03-04",
+    "2026-03-07",
+    "2026-03-21",
+    "2026-04-01",
+    "2026-04-04",
+  ]);
+  const override = expanded.occurrences[2];
+  assert.deepEqual(override.route_group_ids, ["SUC-036"]);
+  assert.equal(override.event_description, "Hill repeats instead.");
+  assert.equal(override.event_id, "CREW-WED-2026-03-21");
+  assert.equal(
+    expanded.occurrences[3].event_description,
+    crewRun.event_description,
+  );
+  assert.deepEqual(expanded.unmatched, ["2026-03-22"]);
+});
+
+test("expands monthly series by day of month or by weekday of the month", () => {
+  const byDay = expandRecurringEvent(
+    {
+      ...crewRun,
+      event_date: "2026-01-31",
+      recurring: { frequency: "monthly" },
+    },
+    { through: "2026-05-31" },
+  );
+  assert.deepEqual(dates(byDay), ["2026-01-31", "2026-03-31", "2026-05-31"]);
+
+  const lastSaturday = expandRecurringEvent(
+    {
+      ...crewRun,
+      event_date: "2026-01-31",
+      recurring: { frequency: "monthly", weekdays: ["sat"], weekOfMonth: -1 },
+    },
+    { through: "2026-03-31" },
+  );
+  assert.deepEqual(dates(lastSaturday), [
+    "2026-01-31",
+    "2026-02-28",
+    "2026-03-28",
+  ]);
+
+  const firstSaturday = expandRecurringEvent(
+    {
+      ...crewRun,
+      event_date: "2026-02-07",
+      recurring: { frequency: "monthly", weekdays: ["sat"], weekOfMonth: 1 },
+    },
+    { through: "2026-04-30" },
+  );
+  assert.deepEqual(dates(firstSaturday), [
+    "2026-02-07",
+    "2026-03-07",
+    "2026-04-04",
+  ]);
+});
+
+test("rejects rules that cannot be expanded", () => {
+  assert.throws(
+    () =>
+      expandRecurringEvent(
+        { ...crewRun, recurring: { frequency: "daily" } },
+        { through: "2026-12-31" },
+      ),
+    /frequency "daily"/,
+  );
+  assert.throws(
+    () =>
+      expandRecurringEvent(
+        { ...crewRun, recurring: { frequency: "weekly", until: "soon" } },
+        { through: "2026-12-31" },
+      ),
+    /until "soon" is not a date/,
+  );
+  assert.throws(
+    () =>
+      expandRecurringEvent(
+        { ...crewRun, event_date: "TBD", recurring: { frequency: "weekly" } },
+        { through: "2026-12-31" },
+      ),
+    /event_date "TBD"/,
+  );
+});
@@ -0,0 +1,203 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createRoster,
+  redactItems,
+  redactLeaderboard,
+} = require("../scripts/lib/redaction.js");
+
+const legacyRoster = createRoster([
+  {
+    id: "sarah@example.com",
+    name: "Sarah Crowe",
+    consent: { publicName: false, publicStory: true, publicMetrics: true },
+  },
+  {
+    id: "maya@example.com",
+    name: "Maya Lee",
+    consent: { publicName: true, publicStory: true, publicMetrics: true },
+  },
+]);
+
+const schemaRoster = createRoster({
+  members: [
+    {
+      id: "sarah-crowe",
+      name: "Sarah Crowe",
+      consent: {
+        public_name: true,
+        public_story: false,
+        public_metrics: false,
+      },
+    },
+  ],
+});
+
+test("reads camelCase and snake_case consent flags", () => {
+  assert.equal(legacyRoster.resolve("Sarah").consent.publicName, false);
+  assert.equal(schemaRoster.resolve("sarah-crowe").consent.publicName, true);
+  assert.equal(schemaRoster.resolve("Sarah Crowe").consent.publicStory, false);
+});
+
+test("drops shoutouts that mention athletes without name consent", () => {
+  const { items, redactions } = redactItems(
+    [
+      {
+        id: "recap-1",
+        crewShoutouts: [
+          "Sarah for leading the warmup",
+          "Maya for the steady pacing",
+          "Dylan for hauling layers",
+        ],
+      },
+    ],
+    { crewShoutouts: "shoutouts" },
+    legacyRoster,
+  );
+
+  assert.deepEqual(items[0].crewShoutouts, ["Maya for the steady pacing"]);
+  assert.deepEqual(
+    redactions.map((redaction) => [redaction.field, redaction.reason]),
+    [
+      ["crewShoutouts[0]", "publicName"],
+      ["crewShoutouts[2]", "unresolved"],
+    ],
+  );
+});
+
+test("anonymizes or drops story subjects by consent", () => {
+  const stories = [
+    { id: "story-1", person: "Sarah Crowe" },
+    { id: "story-2", person: "Maya Lee" },
+    { id: "story-3", person: "Someone Else" },
+  ];
+  const { items, redactions } = redactItems(
+    stories,
+    { person: "storySubject" },
+    legacyRoster,
+  );
+
+  assert.deepEqual(
+    items.map((item) => [item.id, item.person]),
+    [
+      ["story-1", "SUC crew member"],
+      ["story-2", "Maya Lee"],
+    ],
+  );
+  assert.deepEqual(
+    redactions.map((redaction) => [redaction.entityId, redaction.action]),
+    [
+      ["story-1", "replaced"],
+      ["story-3", "dropped-item"],
+    ],
+  );
+
+  const strict = redactItems(
+    stories.slice(0, 1),
+    { person: "storySubject" },
+    schemaRoster,
+  );
+  assert.deepEqual(strict.items, []);
+  assert.equal(strict.redactions[0].reason, "publicStory");
+});
+
+test("keeps leaderboard entries only with metrics consent", () => {
+  const { leaderboard, redactions } = redactLeaderboard(
+    {
+      version: 1,
+      entries: [
+        { athleteId: "sarah@example.com", metric: "miles", value: 40 },
+        { athleteId: "maya@example.com", metric: "miles", value: 35 },
+        { athleteId: "nobody@example.com", metric: "miles", value: 30 },
+      ],
+    },
+    legacyRoster,
+  );
+
+  assert.deepEqual(
+    leaderboard.entries.map((entry) => entry.athleteId),
+    ["anonymous", "maya@example.com"],
+  );
+  assert.deepEqual(
+    redactions.map((redaction) => [redaction.field, redaction.reason]),
+    [
+      ["entries[0].athleteId", "publicName"],
+      ["entries[2]", "unresolved"],
+    ],
+  );
+});
+
+test("replaces non-consenting names in titles, summaries and bodies", () => {
+  const { items, redactions } = redactItems(
+    [
+      {
+        id: "story-1",
+        person: "Maya Lee",
+        title: "Sarah Crowe and Maya on the ridge",
+        summary: "sarah paced the climb",
+        body: "# Ridge day\n\nSarah Crowe led, and **Sarah** never slowed.",
+        bodyHtml: "<h1>Ridge day</h1>",
+      },
+      {
+        id: "story-2",
+        person: "Maya Lee",
+        body: "Read [her log](https://example.com/sarah-crowe/log).",
+        bodyHtml:
+          '<p>Read <a href="https://example.com/sarah-crowe/log">her log</a>.</p>',
+      },
+    ],
+    {
+      person: "storySubject",
+      title: "mentions",
+      summary: "mentions",
+      body: "markdownBody",
+    },
+    legacyRoster,
+  );
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, "SUC crew member and Maya on the ridge");
+  assert.equal(items[0].summary, "SUC crew member paced the climb");
+  assert.equal(
+    items[0].body,
+    "# Ridge day\n\nSUC crew member led, and **SUC crew member** never slowed.",
+  );
+  assert.doesNotMatch(items[0].bodyHtml, /sarah/i);
+  assert.match(items[0].bodyHtml, /<strong>SUC crew member<\/strong>/);
+  assert.deepEqual(
+    redactions.map((redaction) => [
+      redaction.entityId,
+      redaction.field,
+      redaction.action,
+    ]),
+    [
+      ["story-1", "title", "replaced"],
+      ["story-1", "summary", "replaced"],
+      ["story-1", "body", "replaced"],
+      ["story-2", "bodyHtml", "dropped-item"],
+    ],
+  );
+});
+
+test("keeps first names that a consenting member shares", () => {
+  const roster = createRoster([
+    { id: "kj", name: "Kevin Jones", consent: { publicName: false } },
+    { id: "ks", name: "Kevin Smith", consent: { publicName: true } },
+    { id: "dc", name: "Dana Cole", consent: { publicName: false } },
+    { id: "as", name: "Ana Smith", consent: { publicName: true } },
+  ]);
+
+  assert.equal(
+    roster.anonymizeMentions("Great pacing by Kevin Smith"),
+    "Great pacing by Kevin Smith",
+  );
+  assert.equal(
+    roster.anonymizeMentions("Kevin Jones and Kevin swept"),
+    "SUC crew member and Kevin swept",
+  );
+  assert.equal(
+    roster.anonymizeMentions("Dana led, then Dana Smith took over"),
+    "SUC crew member led, then Dana Smith took over",
+  );
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const { createSchemaValidator } = require("../scripts/lib/schemaValidation.js");
+
+const validator = createSchemaValidator(path.resolve(__dirname, ".."));
+
+test("validates each entry of an item array against an item schema", () => {
+  const doc = {
+    events: [
+      { event_id: "SUC-001", event_name: "Ok" },
+      { event_id: "SUC-002" },
+    ],
+  };
+  assert.throws(
+    () =>
+      validator.validate(doc, {
+        file: "events/events.master.json",
+        schema: "schemas/event.schema.json",
+        pointer: "/events",
+      }),
+    (error) => {
+      assert.match(
+        error.message,
+        /events\/events\.master\.json#\/events\/1 must have required property 'event_name'/,
+      );
+      assert.doesNotMatch(error.message, /#\/events\/0/);
+      return true;
+    },
+  );
+});
+
+test("returns the document when it matches its schema", () => {
+  const doc = { version: 1, updatedAt: null, entries: [] };
+  assert.equal(
+    validator.validate(doc, {
+      file: "leaderboards/leaderboards.current.json",
+      schema: "schemas/leaderboards.schema.json",
+    }),
+    doc,
+  );
+});
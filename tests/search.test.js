@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyze, createSearch, stem } = require("../src/search/search.cjs");
+const { COLLECTIONS } = require("../scripts/lib/collections.js");
+const {
+  buildSearchIndex,
+  searchDocument,
+} = require("../scripts/lib/searchIndex.js");
+
+const collection = (name) => COLLECTIONS.find((entry) => entry.name === name);
+
+const index = buildSearchIndex(
+  [
+    searchDocument(collection("training"), {
+      id: "heat-basics",
+      title: "Heat Training Fundamentals",
+      summary: "Build heat tolerance safely.",
+      body: "# Heat\n\nHydration and **electrolytes** matter when running hot.",
+      topics: ["heat", "hydration"],
+      tier: "team",
+    }),
+    searchDocument(collection("footwear-reviews"), {
+      id: "speedgoat",
+      brand: "Hoka",
+      model: "Speedgoat 5",
+      verdict: "Grippy on wet rock.",
+      body: "Runs well on technical descents.",
+      pros: ["Traction"],
+      cons: [],
+      topics: ["footwear"],
+      tier: "team",
+    }),
+  ],
+  "team",
+);
+
+test("analyze lowercases, drops stop words and stems", () => {
+  assert.deepEqual(analyze("The Runners are running on Trails"), [
+    "runner",
+    "run",
+    "trail",
+  ]);
+  assert.equal(stem("injuries"), "injury");
+  assert.equal(stem("50k"), "50k");
+});
+
+test("search documents map collection fields onto the index fields", () => {
+  assert.deepEqual(
+    index.docs.map((doc) => [doc.url, doc.title, doc.summary]),
+    [
+      [
+        "/footwear-reviews/speedgoat",
+        "Hoka Speedgoat 5",
+        "Grippy on wet rock.",
+      ],
+      [
+        "/training/heat-basics",
+        "Heat Training Fundamentals",
+        "Build heat tolerance safely.",
+      ],
+    ],
+  );
+  assert.deepEqual(index.terms.electrolyte, [1, 2, 1]);
+});
+
+test("search ranks matches and expands the word being typed", () => {
+  const { search } = createSearch(index);
+  assert.deepEqual(
+    search("heat").map((result) => result.id),
+    ["heat-basics"],
+  );
+  assert.deepEqual(
+    search("descending on rocks").map((result) => result.id),
+    ["speedgoat"],
+  );
+  assert.deepEqual(
+    search("hydra").map((result) => result.id),
+    ["heat-basics"],
+  );
+  assert.deepEqual(search("hydra ").length, 0);
+  assert.deepEqual(
+    search("run", { collections: ["footwear-reviews"] }).map(
+      (result) => result.id,
+    ),
+    ["speedgoat"],
+  );
+});
+
+test("search ignores words that name Object.prototype members", () => {
+  const { search } = createSearch(index);
+  for (const query of [
+    "constructor",
+    "constructor ",
+    "toString",
+    "__proto__",
+  ]) {
+    assert.deepEqual(search(query), [], query);
+  }
+});